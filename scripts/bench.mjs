@@ -0,0 +1,75 @@
+// Headless controller benchmark
+//
+//   node scripts/bench.mjs [--controllers mpcV10_1,pidV1] [--scenarios zone2,steps,my-ride.json]
+//                          [--athletes reference,elite,optimized_params.json] [--faults drop=0.1,delay=800]
+//                          [--seed 1234] [--json] [--verbose]
+//
+// Runs every selected controller through every selected scenario (src/sim/scenarios.js,
+// or a scenario .json with the same shape), for every
+// selected virtual athlete (src/sim/athletes.js, or a .json written by
+// parameter_optimizer.js), on a virtual clock (no DOM, no BLE, no real time)
+// and prints one row per run. --faults runs the strap and the power writes
+// through a FaultInjector (src/ble/fault-injector.js) with those settings.
+// Every run starts from the same seed (random unless --seed is given, always
+// printed), so the athlete's noise is identical across controllers and a run
+// can be replayed exactly.
+// Metrics are those of src/analysis/metrics.js, --json prints all of them.
+
+import { benchRun } from '../src/sim/bench-run.js';
+import { defaultAthlete } from '../src/sim/athletes.js';
+import { parseArgs, selection } from './matrix.mjs';
+
+const args = parseArgs(process.argv.slice(2), ['json', 'verbose']);
+const { controllers: controllerNames, scenarios: selectedScenarios, athletes: selectedAthletes, faults: faultSettings, seed }
+    = selection(args, { athletes: [defaultAthlete] });
+
+// Controllers log every update; keep the table readable unless asked
+const log = console.log;
+const quiet = () => { if (!args.verbose) console.log = () => {}; };
+const loud = () => { console.log = log; };
+
+const results = [];
+
+for (const controllerName of controllerNames) {
+    for (const [athleteName, athlete] of selectedAthletes) {
+        for (const [scenarioName, scenario] of selectedScenarios) {
+            quiet();
+            const started = process.hrtime.bigint();
+            const { metrics, faults } = benchRun({ controller: controllerName, athlete, scenario, seed, faults: faultSettings });
+            const ms = Number(process.hrtime.bigint() - started) / 1e6;
+            loud();
+
+            results.push({ controller: controllerName, athlete: athleteName, scenario: scenarioName, seed, ...(faults && { faults }), ...metrics, runtimeMs: Math.round(ms) });
+        }
+    }
+}
+
+if (args.json) {
+    log(JSON.stringify(results, null, 2));
+} else {
+    const fmt = (v, digits = 1) => v === null || v === undefined ? '-' : v.toFixed(digits);
+    const rows = results.map(r => [
+        r.controller,
+        r.athlete,
+        r.scenario,
+        fmt(r.timeToTarget, 0) + (r.missed ? ` (${r.missed} missed)` : ''),
+        fmt(r.settlingTime, 0) + (r.unsettled ? ` (${r.unsettled} unsettled)` : ''),
+        `${fmt(r.overshoot)} / ${fmt(r.undershoot)}`,
+        fmt(r.rmse, 2),
+        fmt(r.steadyStateRmse, 2),
+        fmt(r.iae, 0),
+        fmt(r.timeInBand),
+        fmt(r.powerVariability, 2),
+        fmt(r.powerTotalVariation, 0),
+        String(r.powerReversals),
+        String(r.runtimeMs),
+    ]);
+    const header = ['controller', 'athlete', 'scenario', 'time to target (s)', 'settling (s)', 'over / under (bpm)', 'RMSE (bpm)', 'SS RMSE', 'IAE', 'in band (%)', 'power var (W)', 'power TV (W)', 'reversals', 'ms'];
+    const widths = header.map((h, i) => Math.max(h.length, ...rows.map(r => r[i].length)));
+    const line = cells => cells.map((c, i) => i < 3 ? c.padEnd(widths[i]) : c.padStart(widths[i])).join('  ');
+
+    log(`seed ${seed} (replay with --seed ${seed})${faultSettings ? `, faults ${args.faults}` : ''}\n`);
+    log(line(header));
+    log(widths.map(w => '-'.repeat(w)).join('  '));
+    rows.forEach(r => log(line(r)));
+}
@@ -0,0 +1,33 @@
+// Tiny runner shared by the verify_*.mjs scripts
+//
+// await check('name', () => { assert... }) prints ok / FAIL per case, done()
+// sets a failing exit code when any case failed. No framework, plain node:assert.
+// The modules under check log freely (every flagged sample, every clamp), so
+// their console output is silenced and results go straight to stdout.
+
+let failed = 0;
+
+// String -> Void
+const print = (line) => process.stdout.write(`${line}\n`);
+
+console.log = () => {};
+console.warn = () => {};
+
+// String, (Void -> Void | Promise) -> Promise
+async function check(name, fn) {
+    try {
+        await fn();
+        print(`  ok    ${name}`);
+    } catch (e) {
+        failed += 1;
+        print(`  FAIL  ${name}\n        ${e.message.split('\n').join('\n        ')}`);
+    }
+}
+
+// Void -> Void
+function done() {
+    print(failed ? `\n${failed} check(s) failed` : '\nAll checks passed');
+    if (failed) process.exitCode = 1;
+}
+
+export { check, done, print };
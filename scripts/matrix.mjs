@@ -0,0 +1,81 @@
+// Command line selection shared by bench.mjs and tournament.mjs
+//
+// --controllers, --scenarios (ids or scenario .json files), --athletes (ids or
+// fitted profile .json files), --faults k=v,... and --seed. An unknown name
+// or an unreadable file ends the process with the list of known ones.
+
+import { controllerClasses } from '../src/control/controllers.js';
+import { scenarios, parseScenario } from '../src/sim/scenarios.js';
+import { athletes, fittedAthlete } from '../src/sim/athletes.js';
+import { randomSeed } from '../src/control/random.js';
+import fs from 'fs';
+import path from 'path';
+
+// [String], [String] -> {}, flags take no value
+function parseArgs(argv, flags = []) {
+    const args = Object.fromEntries(flags.map(flag => [flag, false]));
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) continue;
+        if (flags.includes(arg.slice(2))) args[arg.slice(2)] = true;
+        else args[arg.slice(2)] = argv[++i];
+    }
+    return args;
+}
+
+const list = (value, all) => value ? value.split(',').map(s => s.trim()).filter(Boolean) : Object.keys(all);
+
+// String -> Never
+function fail(message) {
+    console.error(message);
+    process.exit(1);
+}
+
+// String -> Scenario, a library id or the path of a scenario file
+function loadScenario(name) {
+    if (name.endsWith('.json')) {
+        try {
+            return parseScenario(fs.readFileSync(name, 'utf8'));
+        } catch (e) {
+            fail(`Cannot load scenario '${name}': ${e.message}`);
+        }
+    }
+    if (!scenarios[name]) fail(`Unknown scenario '${name}'. Known: ${Object.keys(scenarios).join(', ')} or a .json file`);
+    return scenarios[name];
+}
+
+// String -> Athlete, a library id or the path of a fitted profile
+function loadAthlete(name) {
+    if (name.endsWith('.json')) {
+        try {
+            return fittedAthlete(JSON.parse(fs.readFileSync(name, 'utf8')), path.basename(name, '.json'));
+        } catch (e) {
+            fail(`Cannot load athlete '${name}': ${e.message}`);
+        }
+    }
+    if (!athletes[name]) fail(`Unknown athlete '${name}'. Known: ${Object.keys(athletes).join(', ')} or a .json file`);
+    return athletes[name];
+}
+
+// {}, {athletes: [String]} -> {controllers: [String], scenarios: [[String, Scenario]],
+//     athletes: [[String, Athlete]], faults?: {}, seed: Int}
+function selection(args, defaults = {}) {
+    const controllers = list(args.controllers, controllerClasses);
+    for (const name of controllers) {
+        if (!controllerClasses[name]) fail(`Unknown controller '${name}'. Known: ${Object.keys(controllerClasses).join(', ')}`);
+    }
+
+    const athleteNames = args.athletes ? list(args.athletes) : (defaults.athletes ?? Object.keys(athletes));
+    const label = name => name.endsWith('.json') ? path.basename(name, '.json') : name;
+
+    return {
+        controllers,
+        scenarios: list(args.scenarios, scenarios).map(name => [name, loadScenario(name)]),
+        athletes: athleteNames.map(name => [label(name), loadAthlete(name)]),
+        // 'drop=0.1,freezeHR=true' -> {drop: '0.1', freezeHR: 'true'}, FaultInjector.configure() parses
+        faults: args.faults && Object.fromEntries(list(args.faults).map(kv => kv.split('='))),
+        seed: args.seed !== undefined ? Number(args.seed) >>> 0 : randomSeed(),
+    };
+}
+
+export { parseArgs, list, selection };
@@ -0,0 +1,138 @@
+// Controller tournament
+//
+//   node scripts/tournament.mjs [--controllers ...] [--athletes ...] [--scenarios ...] [--faults ...]
+//                               [--seeds 5] [--seed 1234] [--jobs 4] [--out tournament]
+//                               [--readme] [--verbose]
+//
+// Runs every selected controller (all by default) for every selected athlete
+// (the whole library by default) through every selected scenario (all by
+// default), --seeds times, each time on a different rider noise drawn from
+// --seed. Runs are spread over --jobs worker threads (one per core by
+// default). Writes <out>/leaderboard.json (the ranking, the per-scenario
+// breakdown and every run's metrics) and <out>/leaderboard.html, and with
+// --readme rewrites the leaderboard between the tournament markers in
+// README.md. Ranking and statistics: src/analysis/tournament.js.
+
+import { Worker, isMainThread, parentPort, workerData } from 'worker_threads';
+import os from 'os';
+import fs from 'fs';
+import path from 'path';
+import { benchRun } from '../src/sim/bench-run.js';
+import { SeededRandom } from '../src/control/random.js';
+import { registry } from '../src/control/controllers.js';
+import { tournament, toMarkdown, toHtml } from '../src/analysis/tournament.js';
+import { parseArgs, selection } from './matrix.mjs';
+
+if (isMainThread) {
+    await main();
+} else {
+    // Controllers log every update
+    if (!workerData.verbose) console.log = () => {};
+    parentPort.on('message', ({ index, controller, athlete, scenario, seed, faults }) => {
+        const { metrics, duration, faults: faultStats } = benchRun({ controller, athlete, scenario, seed, faults });
+        parentPort.postMessage({ index, metrics, duration, faults: faultStats });
+    });
+}
+
+// [{}], Int, Bool -> Promise<[{}]>, results in task order
+function runAll(tasks, jobs, verbose) {
+    const results = new Array(tasks.length);
+    let next = 0;
+    let done = 0;
+
+    return new Promise((resolve, reject) => {
+        const workers = Array.from({ length: Math.min(jobs, tasks.length) }, () => {
+            const worker = new Worker(new URL(import.meta.url), { workerData: { verbose } });
+            const feed = () => {
+                if (next < tasks.length) worker.postMessage({ index: next, ...tasks[next++] });
+            };
+            worker.on('message', ({ index, ...result }) => {
+                results[index] = result;
+                done += 1;
+                if (process.stderr.isTTY) process.stderr.write(`\r${done} / ${tasks.length} runs`);
+                if (done === tasks.length) {
+                    if (process.stderr.isTTY) process.stderr.write('\n');
+                    workers.forEach(w => w.terminate());
+                    resolve(results);
+                } else {
+                    feed();
+                }
+            });
+            worker.on('error', error => {
+                workers.forEach(w => w.terminate());
+                reject(error);
+            });
+            feed();
+            return worker;
+        });
+    });
+}
+
+// String, String -> String, README with the block between the markers replaced
+function replaceReadmeBlock(readme, block) {
+    const begin = '<!-- tournament:begin -->';
+    const end = '<!-- tournament:end -->';
+    const from = readme.indexOf(begin);
+    const to = readme.indexOf(end);
+    if (from === -1 || to < from) throw new Error(`README.md has no ${begin} ... ${end} block`);
+    return `${readme.slice(0, from + begin.length)}\n${block}\n${readme.slice(to)}`;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2), ['readme', 'verbose']);
+    const selected = selection(args);
+    const seedCount = Math.max(1, parseInt(args.seeds ?? 5, 10) || 1);
+    const jobs = Math.max(1, parseInt(args.jobs ?? os.availableParallelism(), 10) || 1);
+    const out = args.out ?? 'tournament';
+
+    // Run seeds are drawn from the base seed rather than counted up from it:
+    // a run also uses seed + 1 and seed + 2 for the controller and the faults
+    const draw = SeededRandom(selected.seed);
+    const seeds = Array.from({ length: seedCount }, () => Math.floor(draw.next() * 0x100000000));
+
+    const tasks = [];
+    for (const controller of selected.controllers) {
+        for (const [athleteName, athlete] of selected.athletes) {
+            for (const [scenarioName, scenario] of selected.scenarios) {
+                for (const seed of seeds) {
+                    tasks.push({ controller, athleteName, athlete, scenarioName, scenario, seed, faults: selected.faults });
+                }
+            }
+        }
+    }
+
+    const meta = {
+        seed: selected.seed,
+        seeds,
+        controllers: selected.controllers,
+        athletes: selected.athletes.map(([name]) => name),
+        scenarios: selected.scenarios.map(([name]) => name),
+        ...(selected.faults && { faults: selected.faults }),
+    };
+    console.error(`seed ${selected.seed} (replay with --seed ${selected.seed}), ${tasks.length} runs on ${jobs} worker(s)`);
+
+    const started = Date.now();
+    const results = await runAll(tasks.map(({ athleteName, scenarioName, ...task }) => task), jobs, args.verbose);
+    const runs = tasks.map((task, i) => ({
+        controller: task.controller,
+        athlete: task.athleteName,
+        scenario: task.scenarioName,
+        seed: task.seed,
+        duration: results[i].duration,
+        ...(results[i].faults && { faults: results[i].faults }),
+        ...results[i].metrics,
+    }));
+
+    const labels = Object.fromEntries(registry.map(entry => [entry.id, entry.label]));
+    const board = tournament(runs, { labels });
+
+    fs.mkdirSync(out, { recursive: true });
+    fs.writeFileSync(path.join(out, 'leaderboard.json'), JSON.stringify({ meta, ...board, runs }, null, 2));
+    fs.writeFileSync(path.join(out, 'leaderboard.html'), toHtml(board, meta));
+    if (args.readme) {
+        fs.writeFileSync('README.md', replaceReadmeBlock(fs.readFileSync('README.md', 'utf8'), toMarkdown(board, meta)));
+    }
+
+    console.log(toMarkdown(board, meta));
+    console.error(`\n${((Date.now() - started) / 1000).toFixed(0)} s, written to ${out}/leaderboard.json and ${out}/leaderboard.html${args.readme ? ' and README.md' : ''}`);
+}
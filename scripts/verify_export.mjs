@@ -0,0 +1,186 @@
+// Ride export round trip
+//
+//   node scripts/verify_export.mjs
+//
+// Encodes a recorded session the way the history list does and reads it back:
+// the .fit with fit-file-parser (the parser parameter_optimizer.js uses), the
+// .tcx and .csv with the minimal readers below (no XML / CSV package here).
+
+import assert from 'node:assert/strict';
+import FitParser from 'fit-file-parser';
+import { check, done, print } from './check.mjs';
+import { encodeFit, crc16 } from '../src/export/fit.js';
+import { encodeTcx } from '../src/export/tcx.js';
+import { encodeCsv, Columns } from '../src/export/csv.js';
+
+const startedAt = Date.UTC(2026, 9, 1, 7, 0, 0);
+
+// A 10 minute ride as SessionRecorder stores it, with a strap dropout and a cadence gap
+const ride = {
+    meta: { id: 42, startedAt, controllerName: 'mpcV7_6', source: 'sim', seed: 42 },
+    samples: Array.from({ length: 600 }, (_, t) => ({
+        t,
+        timestamp: startedAt + t * 1000,
+        hr: t >= 300 && t < 305 ? 0 : Math.round(110 + 20 * (1 - Math.exp(-t / 90))),
+        power: 100 + Math.floor(t / 60) * 10,
+        targetPower: 100 + Math.floor(t / 60) * 10,
+        cadence: t >= 400 && t < 410 ? 0 : 88 + (t % 5),
+        targetHR: 130,
+        controllerName: 'mpcV7_6',
+        ...(t >= 120 && { hrv: { rmssd: 30 + (t % 7) / 3, sdnn: 40.125, alpha1: 0.9 } }),
+    })),
+};
+
+// Uint8Array -> Promise<{}>
+// The parser answers synchronously, and not at all when it trips over a malformed message
+function parseFit(bytes) {
+    return new Promise((resolve, reject) => {
+        const parser = new FitParser({ force: false, mode: 'list' });
+        let answered = false;
+        parser.parse(Buffer.from(bytes), (error, data) => {
+            answered = true;
+            if (error) reject(new Error(error));
+            else resolve(data);
+        });
+        if (!answered) reject(new Error('fit-file-parser gave up without an answer'));
+    });
+}
+
+// String -> [String], every tag must close in the order it opened
+function unbalancedTags(xml) {
+    const open = [];
+    const problems = [];
+    for (const [, closing, name, selfClosing] of xml.matchAll(/<(\/?)([\w:]+)[^>]*?(\/?)>/g)) {
+        if (selfClosing) continue;
+        if (!closing) open.push(name);
+        else if (open.pop() !== name) problems.push(name);
+    }
+    return [...problems, ...open];
+}
+
+// String, String -> [String], the text of every <tag>
+const tagValues = (xml, tag) => [...xml.matchAll(new RegExp(`<${tag}>([^<]*)</${tag}>`, 'g'))].map(m => m[1]);
+
+// String -> [[String]], RFC 4180: quoted fields may hold commas, quotes and newlines
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (quoted) {
+            if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+            else if (c === '"') quoted = false;
+            else field += c;
+        } else if (c === '"') quoted = true;
+        else if (c === ',') { row.push(field); field = ''; }
+        else if (c === '\n') { row.push(field); rows.push(row); row = []; field = ''; }
+        else field += c;
+    }
+    return rows;
+}
+
+print('=== Export round trip ===');
+
+const fit = encodeFit(ride);
+
+await check('FIT: header and data size frame the file', async () => {
+    const view = new DataView(fit.buffer);
+    assert.equal(view.getUint8(0), 14);
+    assert.equal(String.fromCharCode(...fit.slice(8, 12)), '.FIT');
+    assert.equal(14 + view.getUint32(4, true) + 2, fit.length);
+    await parseFit(fit);
+});
+
+// fit-file-parser skips both CRC checks, so they are checked here
+await check('FIT: header and file CRCs are CRC-16/ARC', () => {
+    assert.equal(crc16(new TextEncoder().encode('123456789')), 0xBB3D, 'check value');
+    assert.equal(crc16(fit, 0, 14), 0, 'header CRC');
+    assert.equal(crc16(fit), 0, 'file CRC');
+});
+
+await check('FIT: one record per sample with its time, HR, power and cadence', async () => {
+    const { records } = await parseFit(fit);
+    assert.equal(records.length, ride.samples.length);
+    records.forEach((record, i) => {
+        const sample = ride.samples[i];
+        assert.equal(new Date(record.timestamp).getTime(), sample.timestamp);
+        assert.equal(record.power, sample.power);
+        assert.equal(record.heart_rate, sample.hr > 0 ? sample.hr : undefined, `HR at ${i} s`);
+        assert.equal(record.cadence, sample.cadence > 0 ? sample.cadence : undefined, `cadence at ${i} s`);
+    });
+});
+
+await check('FIT: file_id, session and lap describe an indoor ride', async () => {
+    const { file_ids: [fileId], sessions: [session], laps: [lap] } = await parseFit(fit);
+    assert.equal(fileId.type, 'activity');
+    assert.equal(fileId.serial_number, ride.meta.id);
+    assert.equal(new Date(session.start_time).getTime(), startedAt);
+    assert.equal(session.sport, 'cycling');
+    assert.equal(session.sub_sport, 'indoor_cycling');
+    assert.equal(session.total_elapsed_time, 599);
+    assert.equal(session.max_power, 190);
+    assert.equal(session.max_heart_rate, Math.max(...ride.samples.map(s => s.hr)));
+    assert.equal(lap.total_timer_time, 599);
+});
+
+const tcx = encodeTcx(ride);
+
+await check('TCX: well formed, one Trackpoint per sample', () => {
+    assert.ok(tcx.startsWith('<?xml version="1.0" encoding="UTF-8"?>'));
+    assert.deepEqual(unbalancedTags(tcx), []);
+    assert.equal(tagValues(tcx, 'Time').length, ride.samples.length);
+});
+
+await check('TCX: times, watts, HR and cadence read back per Trackpoint', () => {
+    const points = [...tcx.matchAll(/<Trackpoint>(.*?)<\/Trackpoint>/g)].map(m => m[1]);
+    points.forEach((point, i) => {
+        const sample = ride.samples[i];
+        assert.equal(Date.parse(tagValues(point, 'Time')[0]), sample.timestamp);
+        assert.equal(Number(tagValues(point, 'ns3:Watts')[0]), sample.power);
+        const hr = tagValues(point, 'Value')[0];
+        assert.equal(hr === undefined ? 0 : Number(hr), sample.hr, `HR at ${i} s`);
+        const cadence = tagValues(point, 'Cadence')[0];
+        assert.equal(cadence === undefined ? 0 : Number(cadence), sample.cadence, `cadence at ${i} s`);
+    });
+});
+
+await check('TCX: lap totals match the ride', () => {
+    assert.equal(tagValues(tcx, 'Id')[0], new Date(startedAt).toISOString().replace('.000Z', 'Z'));
+    assert.equal(Number(tagValues(tcx, 'TotalTimeSeconds')[0]), 599);
+    assert.equal(Number(tagValues(tcx, 'ns3:MaxWatts')[0]), 190);
+});
+
+const csv = encodeCsv(ride);
+
+await check('CSV: header and one row per sample, every row as wide as the header', () => {
+    const [header, ...rows] = parseCsv(csv);
+    assert.deepEqual(header, Columns.map(([name]) => name));
+    assert.deepEqual(header.slice(0, 4), ['time', 'watts', 'cadence', 'heartrate'], 'analyze_data.py columns');
+    assert.equal(rows.length, ride.samples.length);
+    rows.forEach(row => assert.equal(row.length, header.length));
+});
+
+await check('CSV: values read back, missing ones empty, decimals to 2 places', () => {
+    const [header, ...rows] = parseCsv(csv);
+    const read = (row, name) => row[header.indexOf(name)];
+    rows.forEach((row, i) => {
+        const sample = ride.samples[i];
+        assert.equal(Number(read(row, 'time')), sample.t);
+        assert.equal(Number(read(row, 'watts')), sample.power);
+        assert.equal(Number(read(row, 'heartrate')), sample.hr);
+        assert.equal(Number(read(row, 'cadence')), sample.cadence);
+        assert.equal(read(row, 'controller_mode'), sample.controllerName);
+        assert.equal(read(row, 'rmssd'), sample.hrv ? String(Math.round(sample.hrv.rmssd * 100) / 100) : '');
+        assert.equal(read(row, 'smo2'), '');
+    });
+});
+
+await check('CSV: commas, quotes and newlines in text survive', () => {
+    const name = 'MPC "tuned", v2\nnight';
+    const [header, row] = parseCsv(encodeCsv({ samples: [{ t: 0, power: 100, controllerName: name }] }));
+    assert.equal(row[header.indexOf('controller_mode')], name);
+});
+
+done();
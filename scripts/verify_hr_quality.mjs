@@ -0,0 +1,101 @@
+// HR quality gate, fed the payloads src/app.js hands to handleData()
+//
+//   node scripts/verify_hr_quality.mjs
+//
+// HRM notifications ({heartRate, sensorContact*, rrInterval}) and FTMS Indoor
+// Bike Data from the trainer, which relays HR too (0 bpm with no strap paired).
+// Samples arrive at 1 Hz on a virtual clock.
+
+import assert from 'node:assert/strict';
+import { check, done, print } from './check.mjs';
+import { HRQuality, Issue } from '../src/signal/hr-quality.js';
+import { VirtualClock } from '../src/sim/virtual-clock.js';
+
+// As in src/app.js: the trainer's relayed HR is dropped, only the HRM slot is checked
+const trainerData = ({ heartRate, ...data }) => data;
+
+// HRQuality, {} -> {ok, issue?}?, handleData() only samples payloads with an HR
+function handleData(quality, data) {
+    if ('heartRate' in data) return quality.sample(data);
+    return undefined;
+}
+
+// Int (bpm) -> {}, a strap with contact and one beat per sample
+const hrm = (hr) => ({
+    heartRate: hr,
+    sensorContactSupported: true,
+    sensorContactStatus: true,
+    rrInterval: [60 / hr],
+});
+
+const trainer = { power: 150, cadence: 88, speed: 30, heartRate: 0 };
+
+// [{}] -> {quality, results: [{ok, issue?}?]}, one payload per second
+function ride(payloads, route = (data) => data) {
+    const clock = VirtualClock();
+    const quality = HRQuality({ clock });
+    const results = payloads.map(data => {
+        clock.advance(1000);
+        return handleData(quality, route(data));
+    });
+    return { quality, results };
+}
+
+print('=== HR quality ===');
+
+await check('a steady strap is reliable', () => {
+    const { quality, results } = ride(Array.from({ length: 120 }, (_, i) => hrm(130 + (i % 3) - 1)));
+    assert.ok(results.every(r => r.ok));
+    assert.equal(quality.isReliable(), true);
+});
+
+await check('trainer data with 0 bpm HR leaves the gate alone', () => {
+    const payloads = Array.from({ length: 60 }, (_, i) => i % 2 ? { ...trainer } : hrm(130 + (i % 3) - 1));
+    const route = (data) => 'sensorContactSupported' in data ? data : trainerData(data);
+    const { quality, results } = ride(payloads, route);
+    assert.ok(results.filter(Boolean).every(r => r.ok));
+    assert.equal(results.filter(r => r === undefined).length, 30);
+    assert.equal(quality.isReliable(), true);
+});
+
+await check('unstripped trainer HR would hold the controller', () => {
+    const payloads = Array.from({ length: 60 }, (_, i) => i % 2 ? { ...trainer } : hrm(130));
+    const { quality } = ride(payloads);
+    assert.equal(quality.isReliable(), false);
+    assert.equal(quality.issue, Issue.range);
+});
+
+await check('lost contact is flagged, then recovers after recoverAfter', () => {
+    const lost = { heartRate: 0, sensorContactSupported: true, sensorContactStatus: false };
+    const { quality, results } = ride([hrm(130), lost, lost, hrm(130), hrm(130), hrm(130), hrm(130)]);
+    assert.equal(results[1].issue, Issue.contact);
+    assert.equal(results[4].ok, true);
+    assert.equal(results[4].issue, Issue.contact, 'still recovering');
+    assert.equal(quality.isReliable(), false);
+    assert.equal(ride([hrm(130), lost, ...Array(6).fill(hrm(130))]).quality.isReliable(), true);
+});
+
+await check('a jump faster than maxRate is flagged', () => {
+    const { results } = ride([{ heartRate: 130 }, { heartRate: 131 }, { heartRate: 160 }]);
+    assert.equal(results[2].issue, Issue.jump);
+});
+
+await check('RR disagreeing with HR is flagged', () => {
+    const { results } = ride([hrm(130), { ...hrm(130), rrInterval: [0.9] }]);
+    assert.equal(results[1].issue, Issue.rr);
+});
+
+await check('a value frozen without RR is flagged after frozenAfterNoRR', () => {
+    const noRR = { heartRate: 125 };
+    const { results } = ride(Array(125).fill(noRR));
+    assert.equal(results[100].ok, true);
+    assert.equal(results[124].issue, Issue.frozen);
+});
+
+await check('a steady integer with changing RR is not frozen', () => {
+    const payloads = Array.from({ length: 90 }, (_, i) => ({ ...hrm(125), rrInterval: [0.476 + (i % 5) * 0.002] }));
+    const { quality } = ride(payloads);
+    assert.equal(quality.isReliable(), true);
+});
+
+done();
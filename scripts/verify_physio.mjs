@@ -1,7 +1,12 @@
 
 import { PhysioController } from '../src/control/physio-controller.js';
 
-const controller = new PhysioController({ outputMin: 50, outputMax: 400 });
+// Fake time, injected so each step can jump 5s without waiting
+let fakeTime = 1000000;
+const clock = { now: () => fakeTime };
+const tick = (ms) => fakeTime += ms;
+
+const controller = new PhysioController({ outputMin: 50, outputMax: 400, clock });
 controller.hrBufferWindow = 1; // Disable smoothing for instant logic verification
 
 console.log("=== Verification: PhysioController Logic ===");
@@ -13,20 +18,6 @@ function runStep(targetHR, currentHR, timeStr) {
 
 // 1. Initialization
 console.log("\n--- Step 1: Initialization ---");
-// Simulate 4s passing for the loop check (update interval is 5s in code, but there's a 4s check)
-// Actually the code relies on Date.now(). We need to mock Date.now() or just sleep? 
-// No, better to mock the controller's lastUpdateTime if possible, or just wait.
-// Waiting 5s per step in a script is slow.
-// Let's modify the controller instance manually for testing or subclass it.
-
-// Hack to mock time
-let fakeTime = 1000000;
-const originalDateNow = Date.now;
-Date.now = () => fakeTime;
-
-// Update Helper
-const tick = (ms) => fakeTime += ms;
-
 // Init
 let p = runStep(130, 80, "Init");
 console.log(`Init Power: ${p}W (Expected 100W)`);
@@ -0,0 +1,113 @@
+// Safety supervisor limits
+//
+//   node scripts/verify_safety.mjs
+//
+// Stale HR, HR ceiling, max power and ramp rate, in that order of precedence,
+// and the trainer's Supported Power Range (cap, floor, increment).
+
+import assert from 'node:assert/strict';
+import { check, done, print } from './check.mjs';
+import { SafetySupervisor, Reason } from '../src/control/safety-supervisor.js';
+import { VirtualClock } from '../src/sim/virtual-clock.js';
+
+// {} -> {clock, safety}, started at `power` W with a fresh HR sample
+function supervisor(config = {}, power = 100) {
+    const clock = VirtualClock();
+    const safety = SafetySupervisor({ clock, storage: undefined, config });
+    safety.setAthlete({ maxHR: 190 });
+    safety.reset(power);
+    return { clock, safety };
+}
+
+print('=== Safety supervisor ===');
+
+await check('within limits the request passes unchanged', () => {
+    const { clock, safety } = supervisor();
+    clock.advance(2000);
+    assert.deepEqual(safety.filter(115, 130), { power: 115, requested: 115, reason: undefined });
+});
+
+await check('ramp rate limits a step to rampRate W/s', () => {
+    const { clock, safety } = supervisor({ rampRate: 10 });
+    clock.advance(2000);
+    const out = safety.filter(200, 130);
+    assert.equal(out.power, 120);
+    assert.equal(out.reason, Reason.ramp);
+    clock.advance(2000);
+    assert.equal(safety.filter(200, 130).power, 140, 'the next step ramps on from there');
+});
+
+await check('max power clamps before the ramp', () => {
+    const { clock, safety } = supervisor({ maxPower: 300, rampRate: 1000 }, 290);
+    clock.advance(2000);
+    const out = safety.filter(500, 130);
+    assert.equal(out.power, 300);
+    assert.equal(out.reason, Reason.maxPower);
+});
+
+await check('the HR ceiling defaults to max HR - 5 and drops to recovery at once', () => {
+    const { clock, safety } = supervisor({ recoveryPower: 80 }, 250);
+    assert.equal(safety.ceiling(), 185);
+    clock.advance(2000);
+    assert.equal(safety.filter(250, 184).reason, undefined);
+    clock.advance(2000);
+    const out = safety.filter(250, 185);
+    assert.equal(out.power, 80);
+    assert.equal(out.reason, Reason.hrCeiling);
+});
+
+await check('a configured HR ceiling replaces the athlete default', () => {
+    const { clock, safety } = supervisor({ hrCeiling: 170 });
+    assert.equal(safety.ceiling(), 170);
+    clock.advance(2000);
+    assert.equal(safety.filter(150, 171).reason, Reason.hrCeiling);
+});
+
+await check('no HR sample for staleAfter s drops to recovery', () => {
+    const { clock, safety } = supervisor({ staleAfter: 10, recoveryPower: 80 }, 150);
+    clock.advance(9000);
+    assert.equal(safety.filter(150, 130).reason, undefined);
+    clock.advance(1000);
+    const out = safety.filter(150, 130);
+    assert.equal(out.power, 80);
+    assert.equal(out.reason, Reason.staleHR);
+    safety.heartRate();
+    clock.advance(1000);
+    assert.notEqual(safety.filter(90, 130).reason, Reason.staleHR, 'a new sample clears it');
+});
+
+await check('the trainer range caps max power and rounds to its increment', () => {
+    const { clock, safety } = supervisor({ maxPower: 400, rampRate: 1000 }, 300);
+    safety.setTrainerRange({ min: 0, max: 350, inc: 5 });
+    assert.equal(safety.maxPower(), 350);
+    clock.advance(1000);
+    const capped = safety.filter(372, 130);
+    assert.equal(capped.power, 350);
+    assert.equal(capped.reason, Reason.maxPower);
+    clock.advance(1000);
+    assert.equal(safety.filter(123, 130).power, 125);
+});
+
+await check('nothing goes below the trainer floor, recovery included', () => {
+    const { clock, safety } = supervisor({ recoveryPower: 80 }, 150);
+    safety.setTrainerRange({ min: 100, max: 1000, inc: 1 });
+    clock.advance(2000);
+    assert.equal(safety.filter(150, 190).power, 100);
+});
+
+await check('an empty or inverted trainer range is ignored', () => {
+    const { safety } = supervisor();
+    safety.setTrainerRange({ min: 400, max: 0, inc: 1 });
+    assert.equal(safety.trainerRange, undefined);
+    assert.equal(safety.maxPower(), 400);
+});
+
+await check('blank settings fall back to the defaults, recovery stays under max power', () => {
+    const { safety } = supervisor();
+    const config = safety.configure({ maxPower: '', rampRate: 'x', recoveryPower: 120 });
+    assert.equal(config.maxPower, 400);
+    assert.equal(config.rampRate, 10);
+    assert.equal(safety.configure({ maxPower: 100 }).recoveryPower, 100);
+});
+
+done();
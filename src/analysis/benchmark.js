@@ -1,5 +1,16 @@
+import { systemClock } from '../control/clock.js';
+import { summarize } from './metrics.js';
+
+/**
+ * Live benchmark of the active controller, scored with the same metrics as
+ * the headless bench (./metrics.js). Fed at 1 Hz from the ride loop, it keeps
+ * the run since the last start() (ride start or controller switch) and
+ * restarts nothing on a target change: that just opens a new segment.
+ */
 export class Benchmark {
-    constructor() {
+    constructor({ clock = systemClock, band = 2, settleFor = 60 } = {}) {
+        this.clock = clock;
+        this.options = { band, settleFor };
         this.reset();
     }
 
@@ -8,13 +19,9 @@ export class Benchmark {
         this.startHR = 0;
         this.targetHR = 0;
         this.reached = false;
-        this.reachTime = null;
-        this.maxHR = 0;
         this.algoName = "";
-
-        // Stats
-        this.samples = 0;
-        this.sumError = 0;
+        this.trace = [];
+        this.summary = null;
 
         console.log("%c[Benchmark] Ready.", "color: #00ffff");
     }
@@ -22,63 +29,61 @@ export class Benchmark {
     start(algoName, currentHR, targetHR) {
         this.reset();
         this.algoName = algoName;
-        this.startTime = Date.now();
+        this.startTime = this.clock.now();
         this.startHR = currentHR;
         this.targetHR = targetHR;
-        this.maxHR = currentHR;
 
         console.log(`%c[Benchmark] STARTED (${algoName})`, "color: #00ffff; font-weight: bold;");
         console.log(`%c[Benchmark] Target: ${targetHR} (Start: ${currentHR})`, "color: #888");
     }
 
-    update(currentHR, targetHR) {
-        // 1. Auto-Start or Detect Scenario Change
-        if (!this.startTime || targetHR !== this.targetHR) {
+    update(currentHR, targetHR, targetPower) {
+        if (!this.startTime) {
             this.start(this.algoName || "Default", currentHR, targetHR);
-            return;
         }
-
-        const now = Date.now();
-        const elapsed = (now - this.startTime) / 1000;
-
-        // 2. Track Max HR
-        if (currentHR > this.maxHR) {
-            this.maxHR = currentHR;
+        if (targetHR !== this.targetHR) {
+            this.targetHR = targetHR;
+            this.reached = false;
         }
 
-        // 3. Detect Reached Event (Zone +/- 2 bpm)
-        const inZone = Math.abs(currentHR - this.targetHR) <= 2;
-        if (!this.reached && inZone) {
+        const t = Math.round((this.clock.now() - this.startTime) / 1000);
+        if (this.trace.length && this.trace[this.trace.length - 1].t === t) return;
+        this.trace.push({ t, hr: currentHR, targetHR, targetPower });
+        this.summary = null;
+
+        // Zone reached (+/- band) for this target
+        if (!this.reached && Math.abs(currentHR - targetHR) <= this.options.band) {
             this.reached = true;
-            this.reachTime = elapsed;
-            console.log(`%c[Benchmark] ⏱️ ZONE REACHED in ${elapsed.toFixed(1)}s`, "color: #00ff00; font-weight: 900; font-size: 1.5em;");
-            this.report(); // Show full stats immediately
+            console.log(`%c[Benchmark] ⏱️ ZONE REACHED at ${t}s`, "color: #00ff00; font-weight: 900; font-size: 1.5em;");
         }
+    }
 
-        // 4. Track Overshoot & Stability
-        if (this.reached) {
-            const overshoot = Math.max(0, currentHR - this.targetHR);
-            if (overshoot > 0 && !(this.lastOvershoot === overshoot)) {
-                // Only log new maximums to avoid spam
-                // Actually, let's keep it silent and only report summary
-            }
-        }
+    // Void -> {} (./metrics.js summarize), cached until the next sample
+    metrics() {
+        this.summary ??= summarize(this.trace, this.options);
+        return this.summary;
     }
 
     report() {
-        if (!this.startTime) return;
-        const now = Date.now();
-        const elapsed = (now - this.startTime) / 1000;
-        const overshoot = Math.max(0, this.maxHR - this.targetHR);
+        if (!this.startTime) return null;
+        const metrics = this.metrics();
 
         console.group(`[Benchmark Report] ${this.algoName}`);
-        console.log(`Time Elapsed: ${elapsed.toFixed(1)}s`);
-        if (this.reached) {
-            console.log(`%cTime to Target: ${this.reachTime.toFixed(1)}s`, "color: #00ff00");
-            console.log(`%cMax Overshoot: +${overshoot} bpm`, overshoot > 2 ? "color: red" : "color: green");
-        } else {
-            console.log(`Target Not Reached Yet (Current: ${this.maxHR})`);
-        }
+        console.table(metrics);
         console.groupEnd();
+        return metrics;
+    }
+
+    // Void -> {}, what the JSON export holds
+    toJSON() {
+        return {
+            controller: this.algoName,
+            startedAt: this.startTime,
+            duration: this.trace.length ? this.trace[this.trace.length - 1].t : 0,
+            band: this.options.band,
+            settleFor: this.options.settleFor,
+            metrics: this.metrics(),
+            trace: this.trace,
+        };
     }
 }
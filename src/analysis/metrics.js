@@ -0,0 +1,158 @@
+//
+// Trace Metrics
+// Scores a 1 Hz trace [{t, hr, targetHR, targetPower}] from a ride or a headless run
+//
+// The trace is split at every target change. Per segment:
+// - time to target: first sample within +/- band of the new target
+// - settling time: first sample from which HR stays within the band for
+//   `settleFor` s (or to the end of a shorter segment)
+// - overshoot: furthest excursion past the target in the direction of approach
+// - undershoot: once reached, furthest fall back to the side it came from
+// - tracking error: HR - target once the target has been reached (rmse), once
+//   it has settled (steadyStateRmse)
+//
+// Over the whole trace, with t restarting at every target change for ITAE:
+//   IAE = sum |e| dt, ISE = sum e^2 dt, ITAE = sum t |e| dt, time in band (%)
+// and on the commanded power: RMS change per sample, number of changes, total
+// variation (sum |dP|) and reversals (dP changing sign, flat stretches skipped).
+//
+
+// [{}] -> [[{}]]
+function segments(trace) {
+    const out = [];
+    trace.forEach((s, i) => {
+        if (i === 0 || s.targetHR !== trace[i - 1].targetHR) out.push([]);
+        out[out.length - 1].push(s);
+    });
+    return out;
+}
+
+// [Number] -> Number?
+function mean(xs) {
+    return xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : null;
+}
+
+// [{}], Number, {band, settleFor} -> Int (index)
+function settledAt(seg, target, { band, settleFor }) {
+    const end = seg[seg.length - 1].t;
+    let from = -1;
+    for (let i = 0; i < seg.length; i++) {
+        if (Math.abs(seg[i].hr - target) > band) {
+            from = -1;
+            continue;
+        }
+        if (from === -1) from = i;
+        if (seg[i].t - seg[from].t >= settleFor || seg[i].t === end) return from;
+    }
+    return -1;
+}
+
+// [Number] -> {variability, changes, totalVariation, reversals}
+function powerMetrics(commands) {
+    let dSq = 0;
+    let changes = 0;
+    let totalVariation = 0;
+    let reversals = 0;
+    let lastSign = 0;
+
+    for (let i = 1; i < commands.length; i++) {
+        const d = commands[i] - commands[i - 1];
+        dSq += d * d;
+        totalVariation += Math.abs(d);
+        if (d === 0) continue;
+
+        changes += 1;
+        const sign = Math.sign(d);
+        if (lastSign && sign !== lastSign) reversals += 1;
+        lastSign = sign;
+    }
+
+    return {
+        variability: commands.length > 1 ? Math.sqrt(dSq / (commands.length - 1)) : 0,
+        changes,
+        totalVariation,
+        reversals,
+    };
+}
+
+// [{}], {band, settleFor} -> {}
+function summarize(trace, { band = 2, settleFor = 60 } = {}) {
+    const reachTimes = [];
+    const settleTimes = [];
+    let missed = 0;
+    let unsettled = 0;
+    let overshoot = 0;
+    let undershoot = 0;
+    let sq = 0;
+    let n = 0;
+    let ssSq = 0;
+    let ssN = 0;
+    let iae = 0;
+    let ise = 0;
+    let itae = 0;
+    let inBand = 0;
+
+    segments(trace).forEach(seg => {
+        const target = seg[0].targetHR;
+        const start = seg[0].t;
+        const rising = seg[0].hr < target;
+
+        seg.forEach((s, i) => {
+            const dt = i > 0 ? s.t - seg[i - 1].t : 1;
+            const error = Math.abs(s.hr - target);
+            iae += error * dt;
+            ise += error * error * dt;
+            itae += (s.t - start) * error * dt;
+            if (error <= band) inBand += 1;
+        });
+
+        const reached = seg.findIndex(s => Math.abs(s.hr - target) <= band);
+        if (reached === -1) {
+            missed += 1;
+            return;
+        }
+        reachTimes.push(seg[reached].t - start);
+
+        seg.slice(reached).forEach(s => {
+            const error = s.hr - target;
+            sq += error * error;
+            n += 1;
+            overshoot = Math.max(overshoot, rising ? error : -error);
+            undershoot = Math.max(undershoot, rising ? -error : error);
+        });
+
+        const settled = settledAt(seg, target, { band, settleFor });
+        if (settled === -1) {
+            unsettled += 1;
+            return;
+        }
+        settleTimes.push(seg[settled].t - start);
+        seg.slice(settled).forEach(s => {
+            ssSq += (s.hr - target) ** 2;
+            ssN += 1;
+        });
+    });
+
+    const power = powerMetrics(trace.map(s => s.targetPower));
+
+    return {
+        timeToTarget: mean(reachTimes),
+        missed,
+        settlingTime: mean(settleTimes),
+        unsettled,
+        overshoot,
+        undershoot,
+        rmse: n ? Math.sqrt(sq / n) : null,
+        steadyStateRmse: ssN ? Math.sqrt(ssSq / ssN) : null,
+        iae,
+        ise,
+        itae,
+        timeInBand: trace.length ? inBand / trace.length * 100 : null,
+        powerVariability: power.variability,
+        powerChanges: power.changes,
+        powerTotalVariation: power.totalVariation,
+        powerReversals: power.reversals,
+    };
+}
+
+export { summarize, segments };
@@ -0,0 +1,277 @@
+//
+// Tournament
+// Ranks controllers over an athlete x scenario x seed matrix of bench runs
+//
+// A run [{controller, athlete, scenario, seed, duration, ...summarize()}] is
+// scored on its mean absolute error, IAE / duration (bpm), which reads the same
+// whatever the scenario length.
+//
+// Every controller faced the same riders (same seeds), so two controllers are
+// compared run by run: the mean of the paired differences with its 95%
+// interval, significant when the interval does not hold 0. The leaderboard is
+// ordered on the mean score; controllers none of which differ significantly
+// from each other form a tie group, ordered inside by mean rank over the
+// athlete x scenario cells (in every cell the controllers are ranked on their
+// mean score over the seeds, a win is a cell ranked first). A controller
+// significantly better than another is therefore never ranked below it.
+// `vsLeader` is each controller's paired difference with #1.
+//
+
+// Two sided 95% Student t, by degrees of freedom (1..30), normal beyond
+const t95 = [12.71, 4.30, 3.18, 2.78, 2.57, 2.45, 2.36, 2.31, 2.26, 2.23,
+    2.20, 2.18, 2.16, 2.14, 2.13, 2.12, 2.11, 2.10, 2.09, 2.09,
+    2.08, 2.07, 2.07, 2.06, 2.06, 2.06, 2.05, 2.05, 2.05, 2.04];
+
+// [Number?] -> {mean, ci, n}, ci is the 95% half width (null below 2 values)
+function stats(values) {
+    const xs = values.filter(Number.isFinite);
+    const n = xs.length;
+    if (!n) return { mean: null, ci: null, n };
+
+    const mean = xs.reduce((a, b) => a + b, 0) / n;
+    if (n < 2) return { mean, ci: null, n };
+    const sd = Math.sqrt(xs.reduce((a, x) => a + (x - mean) ** 2, 0) / (n - 1));
+    return { mean, ci: (t95[n - 2] ?? 1.96) * sd / Math.sqrt(n), n };
+}
+
+// {iae, duration} -> Number (bpm)
+function score(run) {
+    return run.iae / run.duration;
+}
+
+// {powerTotalVariation | powerReversals, duration}, String -> Number, per hour
+const perHour = (run, key) => run[key] / run.duration * 3600;
+
+// [[String, Number]] -> {String: Number}, 1 = best, ties share their mean rank
+function rank(entries) {
+    const sorted = [...entries].sort((a, b) => a[1] - b[1]);
+    const ranks = {};
+    for (let i = 0; i < sorted.length;) {
+        let j = i;
+        while (j + 1 < sorted.length && sorted[j + 1][1] === sorted[i][1]) j++;
+        for (let k = i; k <= j; k++) ranks[sorted[k][0]] = (i + j) / 2 + 1;
+        i = j + 1;
+    }
+    return ranks;
+}
+
+// [{}], [String] -> {String: [{}]}
+function groupBy(runs, keys) {
+    const groups = {};
+    runs.forEach(run => {
+        const key = keys.map(k => run[k]).join('\u0000');
+        (groups[key] ??= []).push(run);
+    });
+    return groups;
+}
+
+// [{}] -> [{athlete, scenario, ranks: {controller: Number}, scores: {controller: Number}}]
+function cells(runs) {
+    return Object.values(groupBy(runs, ['athlete', 'scenario'])).map(cell => {
+        const scores = Object.fromEntries(
+            Object.entries(groupBy(cell, ['controller']))
+                .map(([controller, own]) => [controller, stats(own.map(score)).mean])
+        );
+        return { athlete: cell[0].athlete, scenario: cell[0].scenario, scores, ranks: rank(Object.entries(scores)) };
+    });
+}
+
+// [{}], String, [{}] -> {}, a controller's line over `own` runs and the cells they fall in
+function standing(controller, own, inCells) {
+    const ranks = inCells.map(cell => cell.ranks[controller]);
+    return {
+        controller,
+        meanRank: stats(ranks).mean,
+        wins: ranks.filter(r => r === 1).length,
+        cells: ranks.length,
+        score: stats(own.map(score)),
+        timeInBand: stats(own.map(run => run.timeInBand)),
+        overshoot: stats(own.map(run => run.overshoot)),
+        settlingTime: stats(own.map(run => run.settlingTime)),
+        powerTotalVariation: stats(own.map(run => perHour(run, 'powerTotalVariation'))),
+        powerReversals: stats(own.map(run => perHour(run, 'powerReversals'))),
+        missed: own.reduce((a, run) => a + run.missed, 0),
+    };
+}
+
+// [{}], String, String -> {mean, ci, n, significant}, controller - other, paired on athlete, scenario and seed
+function versus(runs, controller, other) {
+    const key = run => `${run.athlete}\u0000${run.scenario}\u0000${run.seed}`;
+    const otherScores = new Map(runs.filter(r => r.controller === other).map(r => [key(r), score(r)]));
+    const diffs = runs
+        .filter(r => r.controller === controller && otherScores.has(key(r)))
+        .map(r => score(r) - otherScores.get(key(r)));
+    const s = stats(diffs);
+    return { ...s, significant: s.ci !== null && Math.abs(s.mean) > s.ci };
+}
+
+// [{}], [{}] -> [{}] ordered, best first: mean score, mean rank inside a tie group
+function order(standings, runs) {
+    const byScore = [...standings].sort((a, b) => a.score.mean - b.score.mean || a.meanRank - b.meanRank);
+
+    const groups = [];
+    byScore.forEach(s => {
+        const group = groups[groups.length - 1];
+        const tied = group?.every(member => !versus(runs, s.controller, member.controller).significant);
+        if (tied) group.push(s);
+        else groups.push([s]);
+    });
+
+    return groups
+        .flatMap(group => group.sort((a, b) => a.meanRank - b.meanRank || a.score.mean - b.score.mean))
+        .map((s, i) => ({ rank: i + 1, ...s }));
+}
+
+// [{}], {labels?: {controller: String}} -> {leaderboard, scenarios, cells}
+function tournament(runs, { labels = {} } = {}) {
+    const all = cells(runs);
+    const byController = groupBy(runs, ['controller']);
+    const label = controller => labels[controller] ?? controller;
+
+    const leaderboard = order(Object.entries(byController).map(([controller, own]) => standing(controller, own, all)), runs);
+    const leader = leaderboard[0]?.controller;
+    leaderboard.forEach(s => {
+        s.label = label(s.controller);
+        if (s.controller !== leader) s.vsLeader = versus(runs, s.controller, leader);
+        // the scenario it ranks best on, by mean rank there
+        const perScenario = Object.entries(groupBy(all, ['scenario']))
+            .map(([scenario, scenarioCells]) => [scenario, stats(scenarioCells.map(c => c.ranks[s.controller])).mean]);
+        s.bestScenario = perScenario.sort((a, b) => a[1] - b[1])[0]?.[0];
+    });
+
+    const scenarios = Object.fromEntries(Object.entries(groupBy(runs, ['scenario'])).map(([scenario, scenarioRuns]) => {
+        const scenarioCells = all.filter(c => c.scenario === scenario);
+        const lines = Object.entries(groupBy(scenarioRuns, ['controller']))
+            .map(([controller, own]) => standing(controller, own, scenarioCells));
+        return [scenario, order(lines, scenarioRuns).map(s => ({ ...s, label: label(s.controller) }))];
+    }));
+
+    return {
+        leaderboard,
+        scenarios,
+        cells: all.map(({ athlete, scenario, scores, ranks }) => ({
+            athlete,
+            scenario,
+            winner: Object.keys(ranks).filter(c => ranks[c] === 1).join(', '),
+            scores,
+        })),
+    };
+}
+
+// {mean, ci}, Int, String? -> String
+function format({ mean, ci } = {}, digits = 1, unit = '') {
+    if (mean === null || mean === undefined) return '-';
+    return mean.toFixed(digits) + (ci !== null && ci !== undefined ? ` ± ${ci.toFixed(digits)}` : '') + unit;
+}
+
+// {mean, ci, significant}? -> String
+function formatVersus(vs) {
+    if (!vs) return 'leader';
+    return `${vs.mean >= 0 ? '+' : ''}${format(vs, 2)}${vs.significant ? '' : ' (tie)'}`;
+}
+
+// {leaderboard}, {} -> String, the README table
+function toMarkdown({ leaderboard }, meta = {}) {
+    const rows = leaderboard.map(s => [
+        s.rank,
+        s.rank === 1 ? `**${s.label}**` : s.label,
+        s.meanRank.toFixed(1),
+        `${s.wins} / ${s.cells}`,
+        format(s.score, 2),
+        formatVersus(s.vsLeader),
+        format(s.timeInBand, 0, ' %'),
+        format(s.overshoot, 1),
+        format(s.settlingTime, 0, ' s'),
+        format(s.powerTotalVariation, 0),
+        format(s.powerReversals, 0),
+        s.bestScenario,
+    ].join(' | '));
+
+    return [
+        `Generated by \`npm run tournament -- --readme\`: ${describe(meta)}. Mean ± 95% interval over all runs.`,
+        '',
+        '| # | Controller | Mean rank | Wins | MAE (bpm) | vs #1 (bpm) | In ±2 bpm | Overshoot (bpm) | Settling | Power TV (W/h) | Reversals (/h) | Best at |',
+        '| ---: | :--- | ---: | ---: | ---: | ---: | ---: | ---: | ---: | ---: | ---: | :--- |',
+        ...rows.map(r => `| ${r} |`),
+    ].join('\n');
+}
+
+// {} -> String
+function describe({ controllers = [], athletes = [], scenarios = [], seeds = [], seed, faults } = {}) {
+    return `${controllers.length} controllers x ${athletes.length} athletes (${athletes.join(', ')})`
+        + ` x ${scenarios.length} scenarios (${scenarios.join(', ')}) x ${seeds.length} seeds (--seed ${seed})`
+        + (faults ? `, faults ${Object.entries(faults).map(kv => kv.join('=')).join(',')}` : '');
+}
+
+// String -> String
+const escape = s => String(s).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+
+// [String], [[String]], Bool? -> String, a ranked table highlights its first row
+function htmlTable(header, rows, ranked = true) {
+    return `<table${ranked ? ' class="ranked"' : ''}>\n<tr>${header.map(h => `<th>${escape(h)}</th>`).join('')}</tr>\n`
+        + rows.map(r => `<tr>${r.map(c => `<td>${escape(c)}</td>`).join('')}</tr>`).join('\n')
+        + '\n</table>';
+}
+
+// {leaderboard, scenarios, cells}, {} -> String, a standalone page
+function toHtml({ leaderboard, scenarios, cells }, meta = {}) {
+    const board = htmlTable(
+        ['#', 'Controller', 'Mean rank', 'Wins', 'MAE (bpm)', 'vs #1 (bpm)', 'In ±2 bpm', 'Overshoot (bpm)', 'Settling', 'Power TV (W/h)', 'Reversals (/h)', 'Missed targets', 'Best at'],
+        leaderboard.map(s => [
+            s.rank, s.label, s.meanRank.toFixed(1), `${s.wins} / ${s.cells}`,
+            format(s.score, 2), formatVersus(s.vsLeader), format(s.timeInBand, 0, ' %'),
+            format(s.overshoot, 1), format(s.settlingTime, 0, ' s'),
+            format(s.powerTotalVariation, 0), format(s.powerReversals, 0), s.missed, s.bestScenario,
+        ])
+    );
+
+    const breakdowns = Object.entries(scenarios).map(([scenario, lines]) => `<h3>${escape(scenario)}</h3>\n` + htmlTable(
+        ['#', 'Controller', 'Mean rank', 'Wins', 'MAE (bpm)', 'In ±2 bpm', 'Overshoot (bpm)', 'Settling', 'Power TV (W/h)'],
+        lines.map(s => [
+            s.rank, s.label, s.meanRank.toFixed(1), `${s.wins} / ${s.cells}`, format(s.score, 2),
+            format(s.timeInBand, 0, ' %'), format(s.overshoot, 1), format(s.settlingTime, 0, ' s'),
+            format(s.powerTotalVariation, 0),
+        ])
+    )).join('\n');
+
+    const athleteNames = [...new Set(cells.map(c => c.athlete))];
+    const scenarioNames = Object.keys(scenarios);
+    const winners = htmlTable(
+        ['Athlete', ...scenarioNames],
+        athleteNames.map(athlete => [athlete, ...scenarioNames.map(scenario =>
+            cells.find(c => c.athlete === athlete && c.scenario === scenario)?.winner ?? '-')]),
+        false
+    );
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>CardioWatts Controller Tournament</title>
+<style>
+    body { background: #0a0a0a; color: #ddd; font-family: 'Inter', sans-serif; margin: 32px; }
+    h1, h2, h3 { font-weight: 600; letter-spacing: 1px; }
+    h3 { color: #888; margin-top: 24px; }
+    p { color: #888; }
+    table { border-collapse: collapse; font-family: 'Space Mono', monospace; font-size: 0.85rem; }
+    th, td { padding: 4px 12px; border-bottom: 1px solid #222; text-align: right; }
+    th { color: #888; font-weight: normal; }
+    td:nth-child(2), th:nth-child(2) { text-align: left; }
+    .ranked tr:nth-child(2) td { color: #00ffff; }
+</style>
+</head>
+<body>
+<h1>Controller Tournament</h1>
+<p>${escape(describe(meta))}. Ordered on MAE, ties (no significant paired difference) by mean rank. Mean ± 95% interval over all runs. vs #1 is the paired difference with the leader, a tie when its interval holds 0.</p>
+<h2>Leaderboard</h2>
+${board}
+<h2>Per Scenario</h2>
+${breakdowns}
+<h2>Cell Winners</h2>
+${winners}
+</body>
+</html>
+`;
+}
+
+export { tournament, stats, score, toMarkdown, toHtml };
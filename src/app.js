@@ -2,19 +2,31 @@
 import Connectable from './ble/connectable.js';
 import MockConnectable from './ble/mock-connectable.js';
 import { webBle } from './ble/web-ble.js';
-import { PIDStandardV1 } from './control/pid-standard-v1.js';
-import { LinearProjectionV2 } from './control/linear-projection-v2.js';
-import { MPCDeterministicV3 } from './control/mpc-deterministic-v3.js';
-import { MPCKalmanV4 } from './control/mpc-kalman-v4.js';
-import { MPCStochasticV5 } from './control/mpc-stochastic-v5.js';
-import { MPCAdaptiveV6 } from './control/mpc-adaptive-v6.js';
-import { MPCAsymmetricV7_5 } from './control/mpc-asymmetric-v7-5.js';
-import { MPCAsymmetricV7_6 } from './control/mpc-asymmetric-v7-6.js';
-import { MPCv8 } from './control/mpc-v8.js';
-import { MPCv9 } from './control/mpc-v9.js';
-import { MPCv10 } from './control/mpc-v10.js';
-import { MPCv10_1 } from './control/mpc-v10-1.js';
+import { createControllers, registry, defaultControllerId, controllerInfo } from './control/controllers.js';
 import { Benchmark } from './analysis/benchmark.js';
+import { ScaledClock } from './control/clock.js';
+import { SeededRandom } from './control/random.js';
+import { athletes as simAthletes, defaultAthlete, fittedAthlete } from './sim/athletes.js';
+import { scenarios as simScenarios, parseScenario, toWorkout } from './sim/scenarios.js';
+import { SafetySupervisor, CoreAlert } from './control/safety-supervisor.js';
+import { FaultInjector } from './ble/fault-injector.js';
+import { Alpha1Target } from './control/alpha1-target.js';
+import { Smo2Target } from './control/smo2-target.js';
+import { HRQuality } from './signal/hr-quality.js';
+import { HRV } from './signal/hrv.js';
+import { SessionStore } from './session/session-store.js';
+import { SessionRecorder } from './session/session-recorder.js';
+import { encodeFit } from './export/fit.js';
+import { encodeTcx } from './export/tcx.js';
+import { encodeCsv } from './export/csv.js';
+import { downloadFile, sessionFilename } from './export/download.js';
+import { library as workoutLibrary } from './workout/workout.js';
+import { WorkoutRunner } from './workout/workout-runner.js';
+import { importWorkout } from './workout/workout-import.js';
+import { AthleteProfile, applyLimits } from './athlete/athlete-profile.js';
+import { zoneOf } from './athlete/zones.js';
+import { CalibrationRun } from './athlete/calibration.js';
+import { userData } from './ble/userData.js';
 import { wait } from './utils.js';
 import { Chart, registerables } from 'chart.js';
 
@@ -35,39 +47,78 @@ window.onerror = function (msg, url, lineNo, columnNo, error) {
 };
 
 try {
-    // Controllers
-    const controllers = {
-        pidV1: new PIDStandardV1({ outputMin: 50, outputMax: 400 }),
-        projectionV2: new LinearProjectionV2({ outputMin: 50, outputMax: 400 }),
-        mpcV3: new MPCDeterministicV3({ outputMin: 50, outputMax: 400 }),
-        mpcV4: new MPCKalmanV4({ outputMin: 50, outputMax: 400 }),
-        mpcV5: new MPCStochasticV5({ outputMin: 50, outputMax: 400 }),
-        mpcV6: new MPCAdaptiveV6({ outputMin: 50, outputMax: 400 }),
-        mpcV7: new MPCAsymmetricV7_5({ outputMin: 50, outputMax: 400 }),
-        mpcV7_6: new MPCAsymmetricV7_6({ outputMin: 50, outputMax: 400 }),
-        mpcV8: new MPCv8({ outputMin: 50, outputMax: 400 }),
-        mpcV9: new MPCv9({ outputMin: 50, outputMax: 400 }),
-        mpcV10: new MPCv10({ outputMin: 50, outputMax: 400 }),
-        mpcV10_1: new MPCv10_1({ outputMin: 50, outputMax: 400 })
-    };
+    // Ride time, runs faster than the wall clock when the simulator is sped up
+    const rideClock = ScaledClock();
+
+    // Reseeded at every start, the seed is stored with the session
+    const controlRandom = SeededRandom();
+    const simRandom = SeededRandom();
+
+    // Controllers, the output range until a trainer reports its own
+    const defaultOutput = { min: 50, max: 400 };
+    const controllers = createControllers({ outputMin: defaultOutput.min, outputMax: defaultOutput.max, clock: rideClock, random: controlRandom });
 
     // State
     const state = {
         hr: 0,
         power: 100,
+        targetPower: 100, // Last commanded ERG target
+        prediction: [], // Controller's HR path for targetPower, while diagnostics are open
         cadence: 80,
         targetHR: 130, // Default to Zone 2
-        controllerName: 'mpcV7_6',
-        controller: controllers.mpcV7_6, // Default Controller
+        targetMode: 'hr', // 'hr' fixed target, 'alpha1' target HR follows DFA alpha1, 'smo2Level'/'smo2Rate' see Smo2Target
+        smo2: undefined, // % muscle oxygen saturation
+        thb: undefined, // g/dl total hemoglobin
+        coreTemp: undefined, // °C, CORE sensor
+        skinTemp: undefined, // °C
+        coreAlert: undefined, // core temperature alert, see SafetySupervisor
+        controllerName: defaultControllerId,
+        controller: controllers[defaultControllerId],
         elapsed: 0,
         isRunning: false,
         isConnected: false,
         useMock: false,
+        simAthlete: defaultAthlete, // key into simAthletes
+        simScenario: undefined,     // key into simScenarios
         baseline: null, // Calibration
+        calibration: null, // Guided calibration run (overrides the controller)
+        safety: undefined, // Active safety override, see SafetySupervisor
+        hrQuality: undefined, // HR signal issue, see HRQuality
+        hrv: undefined, // {rmssd, sdnn, alpha1, ...} over the last 2 min of beats
         simulationSpeed: 1,
     };
 
-    const bench = new Benchmark();
+    const bench = new Benchmark({ clock: rideClock });
+
+    // Last word on every power target, independent of the controller
+    const safety = SafetySupervisor({ clock: rideClock });
+    safety.load();
+
+    // Bad strap samples never reach the controller
+    const hrQuality = HRQuality({ clock: rideClock });
+
+    // RR intervals from the strap (artifact corrected)
+    const hrv = HRV();
+
+    // "Hold VT1": moves state.targetHR to keep alpha1 at its setpoint
+    const alpha1Target = Alpha1Target({ clock: rideClock });
+
+    // SmO2 modes: power from muscle oxygen, the target HR becomes a ceiling
+    const smo2Target = Smo2Target({ clock: rideClock });
+    const smo2Modes = { smo2Level: 'level', smo2Rate: 'rate' };
+
+    // Structured Workout (drives state.targetHR when loaded)
+    const workout = WorkoutRunner();
+
+    // Session Log (IndexedDB)
+    const sessionStore = SessionStore();
+    const recorder = SessionRecorder({
+        store: sessionStore,
+        onError: (error) => {
+            statusState.recorder = error;
+            renderStatus();
+        },
+    });
 
     // ... (Persistence logic unchanged) ...
 
@@ -78,23 +129,36 @@ try {
 
     // Algorithm Switcher
     if (document.getElementById('algoSelector')) {
-        document.getElementById('algoSelector').addEventListener('change', (e) => {
+        const algoSelector = document.getElementById('algoSelector');
+        registry.forEach(entry => {
+            const option = document.createElement('option');
+            option.value = entry.id;
+            option.innerText = entry.label;
+            option.title = entry.description;
+            option.selected = entry.id === state.controllerName;
+            algoSelector.appendChild(option);
+        });
+
+        algoSelector.addEventListener('change', (e) => {
             const newMode = e.target.value;
             if (controllers[newMode]) {
                 console.log(`[App] Switching Algorithm: ${state.mode} -> ${newMode} `);
 
-                // Reset old controller
-                if (state.controller && state.controller.reset) {
-                    state.controller.reset();
-                }
+                // Take what the old controller knows before resetting it
+                const handover = state.controller.handover();
+                state.controller.reset();
 
                 // Switch
                 state.mode = newMode;
                 state.controllerName = newMode; // Sync name
                 state.controller = controllers[newMode]; // ACTUAL CONTROLLER SWITCH
+                state.prediction = [];
 
-                // Reset new controller
-                if (state.controller && state.controller.reset) {
+                // Mid-ride: bumpless transfer from the watts the trainer is holding
+                const hr = handover.hr ?? state.hr;
+                if (state.isRunning && hr > 0) {
+                    state.controller.warmStart({ power: state.targetPower, hr, model: handover.model });
+                } else {
                     state.controller.reset();
                 }
 
@@ -106,15 +170,18 @@ try {
         });
     }
 
+    // {hr, pwr, gain?, intercept?} -> Void, every controller that supports it
+    function applyCalibration({ hr, pwr, gain, intercept }) {
+        Object.values(controllers).forEach(c => c.calibrate(hr, pwr, { gain, intercept }));
+    }
+
     // Load Persistence
     try {
         const saved = localStorage.getItem('zone2_calibration');
         if (saved) {
             state.baseline = JSON.parse(saved);
             // Apply immediately
-            if (state.controller && state.controller.calibrate) {
-                state.controller.calibrate(state.baseline.hr, state.baseline.pwr);
-            }
+            applyCalibration(state.baseline);
         }
     } catch (e) { console.error("Load failed", e); }
 
@@ -134,8 +201,128 @@ try {
         connectHrBtn: document.getElementById('connectHrBtn'),
         modeBtn: document.getElementById('modeBtn'),
         algoSelector: document.getElementById('algoSelector'), // Algorithm Switcher
+        workoutSelector: document.getElementById('workoutSelector'),
+        targetModeSelector: document.getElementById('targetModeSelector'),
+        smo2Setpoint: document.getElementById('smo2Setpoint'),
+        smo2Value: document.getElementById('smo2Value'),
+        connectSmo2Btn: document.getElementById('connectSmo2Btn'),
+        connectCoreTempBtn: document.getElementById('connectCoreTempBtn'),
+        coreTempValue: document.getElementById('coreTempValue'),
+        coreTempBadge: document.getElementById('coreTempBadge'),
+        diagHeat: document.getElementById('diagHeat'),
+        workoutStep: document.getElementById('workoutStep'),
+        workoutNext: document.getElementById('workoutNext'),
+        workoutRemaining: document.getElementById('workoutRemaining'),
+        zoneStrip: document.getElementById('zoneStrip'),
+        safetyBadge: document.getElementById('safetyBadge'),
+        hrQualityBadge: document.getElementById('hrQualityBadge'),
+        hrvValue: document.getElementById('hrvValue'),
+        diagPanel: document.getElementById('diagPanel'),
+        benchPanel: document.getElementById('benchPanel'),
+        benchController: document.getElementById('benchController'),
+        benchTimeToTarget: document.getElementById('benchTimeToTarget'),
+        benchSettling: document.getElementById('benchSettling'),
+        benchShoot: document.getElementById('benchShoot'),
+        benchRmse: document.getElementById('benchRmse'),
+        benchInBand: document.getElementById('benchInBand'),
+        benchIae: document.getElementById('benchIae'),
+        benchIse: document.getElementById('benchIse'),
+        benchItae: document.getElementById('benchItae'),
+        benchPowerTv: document.getElementById('benchPowerTv'),
+        benchReversals: document.getElementById('benchReversals'),
+        faultPanel: document.getElementById('faultPanel'),
+        faultStatus: document.getElementById('faultStatus'),
+        faultStats: document.getElementById('faultStats'),
+        diagController: document.getElementById('diagController'),
+        diagMode: document.getElementById('diagMode'),
+        diagFilteredHr: document.getElementById('diagFilteredHr'),
+        diagDemand: document.getElementById('diagDemand'),
+        diagGain: document.getElementById('diagGain'),
+        diagTau: document.getElementById('diagTau'),
+        diagIntegral: document.getElementById('diagIntegral'),
+        diagCost: document.getElementById('diagCost'),
     };
 
+    // Athlete Profile (hrMin / hrMax for the controllers, zones for the target picker)
+    const athlete = AthleteProfile();
+    athlete.load();
+
+    function applyAthlete() {
+        const limits = athlete.controllerLimits();
+        Object.values(controllers).forEach(c => applyLimits(c, limits));
+        safety.setAthlete({ maxHR: athlete.maxHR() });
+
+        // calibration gains are relative to hrMin, re-anchor them
+        if (state.baseline) applyCalibration(state.baseline);
+
+        const { weight } = athlete.get();
+        if (weight) userData.setUserWeight(weight * 1000);
+
+        renderZones();
+    }
+
+    // {min, max, inc}? -> Void, the trainer's Supported Power Range (FTMS only),
+    // undefined puts the controllers back on the default range
+    function applyTrainerRange(range) {
+        safety.setTrainerRange(range);
+        const limits = safety.trainerRange
+            ? { min: safety.trainerRange.min, max: safety.maxPower() }
+            : defaultOutput;
+        Object.values(controllers).forEach(c => c.setOutputLimits(limits));
+        console.log('[App] Trainer power range', safety.trainerRange ?? 'not reported', limits);
+    }
+
+    // String -> Void, the simulated rider starts again from rest
+    function selectSimAthlete(key) {
+        state.simAthlete = key;
+        if (state.useMock) trainerConn.setPhysiology?.({ ...simAthletes[key].physiology, random: simRandom });
+        handleStatus(`Sim athlete: ${simAthletes[key].name}`);
+    }
+
+    // String -> Void, '' for none. The scenario's targets replace the workout,
+    // its disturbances play in the simulator from the next ride start.
+    function selectSimScenario(key) {
+        const scenario = simScenarios[key];
+        state.simScenario = scenario ? key : undefined;
+        if (scenario) workout.load(toWorkout(scenario));
+        else workout.clear();
+        if (ui.workoutSelector) ui.workoutSelector.value = '';
+        updateWorkout();
+        handleStatus(scenario ? `Sim scenario: ${scenario.name}` : 'Sim scenario cleared');
+    }
+
+    function renderZones() {
+        if (!ui.zoneStrip) return;
+
+        const list = athlete.isConfigured() ? athlete.zones() : [];
+        ui.zoneStrip.innerHTML = '';
+        ui.zoneStrip.style.display = list.length ? 'flex' : 'none';
+
+        list.forEach(zone => {
+            const chip = document.createElement('button');
+            chip.className = 'zone-chip';
+            chip.dataset.zone = zone.id;
+            chip.innerText = `${zone.id} ${zone.low}-${zone.high}`;
+            chip.title = `${zone.name}: tap to snap target into this zone`;
+            chip.style.cssText = "padding: 4px 8px; font-size: 0.65rem; border-radius: 10px; background: rgba(255,255,255,0.05); color: #888;";
+            chip.addEventListener('click', () => setTargetHR(Math.round((zone.low + zone.high) / 2)));
+            ui.zoneStrip.append(chip);
+        });
+
+        highlightZone();
+    }
+
+    function highlightZone() {
+        if (!ui.zoneStrip || ui.zoneStrip.children.length === 0) return;
+
+        const active = zoneOf(athlete.zones(), state.targetHR);
+        Array.from(ui.zoneStrip.children).forEach(chip => {
+            const isActive = active && chip.dataset.zone === active.id;
+            chip.style.background = isActive ? 'var(--accent)' : 'rgba(255,255,255,0.05)';
+            chip.style.color = isActive ? '#fff' : '#888';
+        });
+    }
+
     // --- CHART LOGIC ---
     let workoutChart;
 
@@ -201,6 +388,38 @@ try {
                         pointRadius: 0,
                         borderWidth: 1,
                         hidden: true // Hidden by default to keep clean
+                    },
+                    {
+                        label: 'Predicted HR',
+                        data: [],
+                        borderColor: 'rgba(255, 23, 68, 0.6)',
+                        borderDash: [2, 4],
+                        yAxisID: 'y-hr',
+                        tension: 0.4,
+                        pointRadius: 0,
+                        borderWidth: 2,
+                        fill: false
+                    },
+                    {
+                        label: 'SmO2',
+                        data: [],
+                        borderColor: '#FFB300', // Amber
+                        yAxisID: 'y-smo2',
+                        tension: 0.4,
+                        pointRadius: 0,
+                        borderWidth: 1.5,
+                        fill: false
+                    },
+                    {
+                        label: 'THb',
+                        data: [],
+                        borderColor: 'rgba(255, 179, 0, 0.4)',
+                        borderDash: [4, 4],
+                        yAxisID: 'y-thb',
+                        tension: 0.4,
+                        pointRadius: 0,
+                        borderWidth: 1,
+                        fill: false
                     }
                 ]
             },
@@ -237,6 +456,20 @@ try {
                         position: 'right',
                         suggestedMin: 0,
                         suggestedMax: 120
+                    },
+                    'y-smo2': {
+                        type: 'linear',
+                        display: false,
+                        position: 'right',
+                        min: 0,
+                        max: 100
+                    },
+                    'y-thb': {
+                        type: 'linear',
+                        display: false,
+                        position: 'right',
+                        suggestedMin: 10,
+                        suggestedMax: 15
                     }
                 },
                 plugins: {
@@ -251,34 +484,115 @@ try {
         });
     }
 
+    // Ride labels only, the predicted path borrows extra labels past "now"
+    let chartLabels = [];
+
+    // [{t, hr}] (model steps) -> [hr] at 1 s, linear between steps
+    function perSecond(path, fromHR) {
+        const out = [];
+        let prev = { t: 0, hr: fromHR };
+        path.forEach(p => {
+            for (let s = Math.floor(prev.t) + 1; s <= p.t; s++) {
+                out.push(prev.hr + (p.hr - prev.hr) * (s - prev.t) / (p.t - prev.t));
+            }
+            prev = p;
+        });
+        return out;
+    }
+
     function updateChart() {
         if (!workoutChart) return;
 
         const label = ui.timer.innerText;
+        const [power, hr, target, cadence, predicted, smo2, thb] = workoutChart.data.datasets;
 
         // Add Data
-        workoutChart.data.labels.push(label);
-        workoutChart.data.datasets[0].data.push(state.power); // Power First
-        workoutChart.data.datasets[1].data.push(state.hr);
-        workoutChart.data.datasets[2].data.push(state.targetHR);
-        workoutChart.data.datasets[3].data.push(state.cadence);
+        chartLabels.push(label);
+        power.data.push(state.power); // Power First
+        hr.data.push(state.hr);
+        target.data.push(state.targetHR);
+        cadence.data.push(state.cadence);
+        smo2.data.push(state.smo2 ?? null);
+        thb.data.push(state.thb ?? null);
 
         // Limit Window (last 10 mins = 600 points)
-        if (workoutChart.data.labels.length > 600) {
-            workoutChart.data.labels.shift();
-            workoutChart.data.datasets.forEach(bs => bs.data.shift());
+        if (chartLabels.length > 600) {
+            chartLabels.shift();
+            [power, hr, target, cadence, smo2, thb].forEach(ds => ds.data.shift());
         }
 
+        // Predicted HR for the commanded power, drawn from the last sample onwards
+        const path = ui.diagPanel?.open ? perSecond(state.prediction ?? [], state.hr) : [];
+        workoutChart.data.labels = chartLabels.concat(path.map((_, i) => `+${i + 1}s`));
+        predicted.data = path.length
+            ? new Array(chartLabels.length - 1).fill(null).concat(state.hr, path)
+            : [];
+
         workoutChart.update('none');
     }
 
+    // Number?, Int -> String
+    const fixed = (value, digits) => {
+        const n = parseFloat(value);
+        return Number.isFinite(n) ? n.toFixed(digits) : '--';
+    };
+
+    function updateBenchmark() {
+        if (!ui.benchPanel?.open) return;
+
+        const m = bench.metrics();
+        const secs = v => v === null ? '--' : `${fixed(v, 0)} s`;
+        ui.benchController.innerText = bench.algoName;
+        ui.benchTimeToTarget.innerText = secs(m.timeToTarget) + (m.missed ? ` (${m.missed} missed)` : '');
+        ui.benchSettling.innerText = secs(m.settlingTime) + (m.unsettled ? ` (${m.unsettled} unsettled)` : '');
+        ui.benchShoot.innerText = `+${fixed(m.overshoot, 0)} / -${fixed(m.undershoot, 0)} bpm`;
+        ui.benchRmse.innerText = `${fixed(m.rmse, 2)} / ${fixed(m.steadyStateRmse, 2)}`;
+        ui.benchInBand.innerText = m.timeInBand === null ? '--' : `${fixed(m.timeInBand, 0)} %`;
+        ui.benchIae.innerText = fixed(m.iae, 0);
+        ui.benchIse.innerText = fixed(m.ise, 0);
+        ui.benchItae.innerText = fixed(m.itae, 0);
+        ui.benchPowerTv.innerText = `${fixed(m.powerTotalVariation, 0)} W`;
+        ui.benchReversals.innerText = m.powerReversals;
+    }
+
+    document.getElementById('benchExportBtn')?.addEventListener('click', () => {
+        const report = bench.toJSON();
+        downloadFile(JSON.stringify(report, null, 2), sessionFilename(report, 'bench.json'), 'application/json');
+    });
+
+    // getDiagnostics() differs per controller, read what is there
+    function updateDiagnostics() {
+        if (!ui.diagPanel?.open) return;
+
+        const d = state.controller.getDiagnostics();
+        const integral = d.integral?.adjustment ?? d.integralAdjustment;
+
+        ui.diagController.innerText = controllerInfo(state.controllerName)?.label ?? state.controllerName;
+        ui.diagMode.innerText = [d.mode, d.intent].filter(Boolean).join(' / ') || '--';
+        ui.diagFilteredHr.innerText = fixed(d.filteredHR, 1);
+        ui.diagDemand.innerText = fixed(d.demand, 1);
+        ui.diagGain.innerText = fixed(d.gain, 3);
+        ui.diagTau.innerText = d.tauRise !== undefined ? `${fixed(d.tauRise, 0)} / ${fixed(d.tauFall, 0)}` : '--';
+        ui.diagIntegral.innerText = integral !== undefined ? `${fixed(integral, 1)} W` : '--';
+        ui.diagCost.innerText = fixed(d.cost, 1);
+        if (ui.diagHeat) {
+            ui.diagHeat.innerText = d.coreTemp !== undefined && d.coreTemp !== null
+                ? `${fixed(d.heatDrift, 1)} bpm @ ${fixed(d.coreTemp, 2)} °C`
+                : '--';
+        }
+    }
+
     // Initialize immediately
     initChart();
+    ui.diagPanel?.addEventListener('toggle', updateDiagnostics);
 
     // Status Management
     const statusState = {
         trainer: "Not Connected",
         hr: "Not Connected",
+        smo2: "Not Connected",
+        coreTemp: "Not Connected",
+        recorder: "",
         general: ""
     };
 
@@ -289,7 +603,9 @@ try {
         const span = (text, colorVar) => `< span style = "color: var(${colorVar})" > ${text}</span > `;
 
         // Trainer Status
-        if (statusState.trainer.includes('Connected') && !statusState.trainer.includes('Not')) {
+        if (statusState.trainer.includes('No ERG')) {
+            parts.push(span("Trainer: No ERG", "--danger"));
+        } else if (statusState.trainer.includes('Connected') && !statusState.trainer.includes('Not')) {
             parts.push(span("Trainer: OK", "--success"));
         } else if (statusState.trainer.includes('Failed')) {
             parts.push(span("Trainer: Failed", "--danger"));
@@ -306,6 +622,25 @@ try {
             parts.push(span("HRM: Reconnecting...", "--accent"));
         }
 
+        // SmO2 Status (optional sensor, only shown once used)
+        if (statusState.smo2.includes('Connected') && !statusState.smo2.includes('Not') && !statusState.smo2.includes('Disconnected')) {
+            parts.push(span("SmO2: OK", "--success"));
+        } else if (statusState.smo2.includes('Failed')) {
+            parts.push(span("SmO2: Failed", "--danger"));
+        }
+
+        // CORE Status
+        if (statusState.coreTemp.includes('Connected') && !statusState.coreTemp.includes('Not') && !statusState.coreTemp.includes('Disconnected')) {
+            parts.push(span("CORE: OK", "--success"));
+        } else if (statusState.coreTemp.includes('Failed')) {
+            parts.push(span("CORE: Failed", "--danger"));
+        }
+
+        // Recording, only shown when the ride is not being saved
+        if (statusState.recorder) {
+            parts.push(span("Recording: Failed", "--danger"));
+        }
+
         let finalHTML = parts.join(' <span style="opacity:0.3; margin:0 5px;">|</span> ');
 
         // General Override
@@ -324,13 +659,58 @@ try {
         }
     }
 
+    // Every device callback goes through the fault injector, a no-op until a fault is switched on
+    const faults = FaultInjector();
+    const deviceData = faults.wrap(handleData);
+
+    // fault -> [input id, scale from the input], probabilities are entered in %
+    const faultFields = {
+        delay: ['faultDelay', 1],
+        jitter: ['faultJitter', 1],
+        drop: ['faultDrop', 0.01],
+        duplicate: ['faultDuplicate', 0.01],
+        reorder: ['faultReorder', 0.01],
+        ignoreWrites: ['faultIgnoreWrites', 0.01],
+    };
+
+    function configureFaults() {
+        const values = {};
+        Object.entries(faultFields).forEach(([key, [id, scale]]) => {
+            const input = document.getElementById(id);
+            if (input) values[key] = (parseFloat(input.value) || 0) * scale;
+        });
+        const freeze = document.getElementById('faultFreezeHR');
+        if (freeze) values.freezeHR = freeze.checked;
+
+        faults.configure(values);
+        console.log('[App] Faults', faults.isActive() ? faults.get() : 'off');
+        renderFaults();
+    }
+
+    [...Object.values(faultFields).map(([id]) => id), 'faultFreezeHR'].forEach(id => {
+        document.getElementById(id)?.addEventListener('change', configureFaults);
+    });
+
+    // A trainer can relay HR too (FTMS Indoor Bike Data), often 0 bpm with no
+    // strap paired to it. The HRM slot stays the only HR source.
+    const trainerData = ({ heartRate, ...data }) => deviceData(data);
+
     // BLE Connection (Swappable)
     // Trainer Connection
+
+    // Runs on the first connect and after every auto-reconnect, the trainer's
+    // services (and with them its power range) are set up again each time
+    function onTrainerConnected() {
+        const trainer = trainerConn.services?.trainer;
+        applyTrainerRange(trainer?.getPowerRange?.());
+        handleStatus(trainer?.supportsPowerTarget?.() === false ? 'Trainer Connected, No ERG' : 'Trainer Connected');
+    }
+
     let trainerConn = Connectable({
         name: 'Trainer',
-        onData: handleData,
+        onData: trainerData,
         onConnecting: () => handleStatus('Trainer Connecting...'),
-        onConnected: () => handleStatus('Trainer Connected'),
+        onConnected: onTrainerConnected,
         onConnectFail: (e) => handleStatus(`Trainer Failed: ${e.message}`),
         onDisconnect: () => handleStatus('Trainer Disconnected'),
         filter: webBle.filters.controllable()
@@ -339,7 +719,7 @@ try {
     // HR Connection
     let hrConn = Connectable({
         name: 'HRM',
-        onData: handleData,
+        onData: deviceData,
         onConnecting: () => handleStatus('HRM Connecting...'),
         onConnected: () => handleStatus('HRM Connected'),
         onConnectFail: (e) => handleStatus(`HRM Failed: ${e.message}`),
@@ -347,9 +727,43 @@ try {
         filter: webBle.filters.heartRateMonitor()
     });
 
+    // SmO2 Connection (Moxy)
+    let smo2Conn = Connectable({
+        name: 'SmO2',
+        onData: deviceData,
+        onConnecting: () => handleStatus('SmO2 Connecting...'),
+        onConnected: () => handleStatus('SmO2 Connected'),
+        onConnectFail: (e) => handleStatus(`SmO2 Failed: ${e.message}`),
+        onDisconnect: () => handleStatus('SmO2 Disconnected'),
+        filter: webBle.filters.smo2()
+    });
+
+    // Core Temperature Connection (CORE). It can relay HR as well, the HRM
+    // slot stays the only HR source, so only the temperatures are passed on.
+    let coreTempConn = Connectable({
+        name: 'CORE',
+        onData: (data) => deviceData({
+            coreBodyTemperature: data.coreBodyTemperature,
+            skinTemperature: data.skinTemperature,
+        }),
+        onConnecting: () => handleStatus('CORE Connecting...'),
+        onConnected: () => handleStatus('CORE Connected'),
+        onConnectFail: (e) => handleStatus(`CORE Failed: ${e.message}`),
+        onDisconnect: () => handleStatus('CORE Disconnected'),
+        filter: webBle.filters.coreTemp()
+    });
+
     function handleData(data) {
-        if (data.heartRate) {
-            state.hr = data.heartRate;
+        // 0 bpm is a strap losing contact, it has to reach the quality check
+        if ('heartRate' in data) {
+            const quality = hrQuality.sample(data);
+            if (quality.ok) {
+                state.hr = data.heartRate;
+                safety.heartRate();
+                if (data.rrInterval) hrv.add(data.rrInterval);
+            }
+            state.hrQuality = quality.issue;
+            renderHrQuality();
             updateUI();
         }
         if (data.power) {
@@ -357,6 +771,21 @@ try {
             state.cadence = data.cadence || state.cadence;
             updateUI();
         }
+        if ('currentSaturatedHemoglobin' in data) {
+            state.smo2 = data.currentSaturatedHemoglobin;
+            state.thb = data.totalHemoglobinSaturation;
+            smo2Target.sample(state.smo2);
+            updateUI();
+        }
+        // 327.67 °C is the sensor's "invalid" value
+        if (data.coreBodyTemperature > 30 && data.coreBodyTemperature < 45) {
+            state.coreTemp = data.coreBodyTemperature;
+            state.skinTemp = data.skinTemperature;
+            Object.values(controllers).forEach(c => c.setCoreTemperature(state.coreTemp));
+            state.coreAlert = safety.coreTemperature(state.coreTemp);
+            renderCoreAlert();
+            updateUI();
+        }
     }
 
     function handleStatus(msg) {
@@ -366,6 +795,12 @@ try {
         } else if (msg.includes('Heart Rate') || msg.includes('HRM')) {
             statusState.hr = msg;
             statusState.general = "";
+        } else if (msg.includes('SmO2')) {
+            statusState.smo2 = msg;
+            statusState.general = "";
+        } else if (msg.includes('CORE')) {
+            statusState.coreTemp = msg;
+            statusState.general = "";
         } else {
             statusState.general = msg;
             if (!msg.includes('Scanning')) {
@@ -417,14 +852,15 @@ try {
             btn.style.cursor = "pointer";
 
             btn.addEventListener('click', () => {
-                if (conn && typeof conn.setSpeed === 'function') {
+                if (trainerConn && typeof trainerConn.setSpeed === 'function') {
                     state.simulationSpeed = speed;
-                    conn.setSpeed(speed);
+                    rideClock.setSpeed(speed);
+                    trainerConn.setSpeed(speed);
 
-                    // Restart loops if running
+                    // Restart loops at the new period, the ride itself carries on
                     if (state.isRunning) {
                         stopLoopsForReconfiguration();
-                        startRide();
+                        startLoops();
                     }
 
                     // Highlight active
@@ -443,9 +879,99 @@ try {
             }
         });
 
+        // {library, selected, noneLabel?, importLabel, parse, onSelect} -> Element, a dropdown
+        // over one of the sim libraries, the last option imports another entry from .json
+        const simLibrarySelect = ({ library, selected, noneLabel, importLabel, parse, onSelect }) => {
+            const IMPORT_OPTION = '__import__';
+            const select = document.createElement('select');
+            select.style.fontSize = "0.6rem";
+            select.style.background = "#222";
+            select.style.color = "#888";
+            select.style.border = "1px solid #333";
+            select.style.borderRadius = "4px";
+
+            const importOption = document.createElement('option');
+            importOption.value = IMPORT_OPTION;
+            importOption.innerText = importLabel;
+            select.appendChild(importOption);
+            if (noneLabel) {
+                const noneOption = document.createElement('option');
+                noneOption.value = '';
+                noneOption.innerText = noneLabel;
+                select.insertBefore(noneOption, importOption);
+            }
+
+            const addOption = (key, item) => {
+                const option = document.createElement('option');
+                option.value = key;
+                option.innerText = item.name;
+                option.title = item.description ?? '';
+                select.insertBefore(option, importOption);
+            };
+            Object.entries(library).forEach(([key, item]) => addOption(key, item));
+            select.value = selected;
+
+            const fileInput = document.createElement('input');
+            fileInput.type = 'file';
+            fileInput.accept = '.json';
+            fileInput.style.display = 'none';
+
+            fileInput.addEventListener('change', async () => {
+                const file = fileInput.files[0];
+                fileInput.value = '';
+                if (!file) return;
+
+                try {
+                    const item = parse(await file.text(), file.name.replace(/\.json$/, ''));
+                    const key = `import_${Object.keys(library).length}`;
+                    library[key] = item;
+                    addOption(key, item);
+                    select.value = key;
+                    selected = key;
+                    onSelect(key);
+                } catch (e) {
+                    console.error("Sim import failed", e);
+                    handleStatus(`Import failed: ${e.message}`);
+                }
+            });
+
+            select.addEventListener('change', (e) => {
+                if (e.target.value === IMPORT_OPTION) {
+                    e.target.value = selected;
+                    fileInput.click();
+                    return;
+                }
+                selected = e.target.value;
+                onSelect(selected);
+            });
+
+            speedContainer.appendChild(select);
+            speedContainer.appendChild(fileInput);
+            return select;
+        };
+
+        // VIRTUAL ATHLETE (src/sim/athletes.js, or a parameter_optimizer.js fit)
+        simLibrarySelect({
+            library: simAthletes,
+            selected: state.simAthlete,
+            importLabel: "Load fitted .json...",
+            parse: (text, name) => fittedAthlete(JSON.parse(text), name),
+            onSelect: selectSimAthlete,
+        });
+
+        // SCENARIO (src/sim/scenarios.js, or a scenario .json): target HR plan plus disturbances
+        simLibrarySelect({
+            library: simScenarios,
+            selected: '',
+            noneLabel: "No scenario",
+            importLabel: "Load scenario .json...",
+            parse: parseScenario,
+            onSelect: selectSimScenario,
+        });
+
         simBtn.addEventListener('click', () => {
             // DATA LOGIC CLEANUP
-            if (conn && typeof conn.destroy === 'function') {
+            if (trainerConn && typeof trainerConn.destroy === 'function') {
                 // conn.destroy(); // Not implemented in new version
             }
 
@@ -461,7 +987,11 @@ try {
                 // conn = MockConnectable({ onData: handleData, onStatus: handleStatus });
                 // We need to patch this to mock both or handle simulation differently.
                 // For now, let's keep it simple: MockConnectable replaces trainerConn
-                trainerConn = MockConnectable({ onData: handleData, onStatus: handleStatus });
+                trainerConn = MockConnectable({
+                    onData: deviceData,
+                    onStatus: handleStatus,
+                    physiology: { ...simAthletes[state.simAthlete].physiology, random: simRandom },
+                });
                 statusState.general = "Simulation Mode Ready";
                 renderStatus();
 
@@ -482,9 +1012,9 @@ try {
                 // The ones we created are variables. We should probably re-assign them to clean instances.
                 trainerConn = Connectable({
                     name: 'Trainer',
-                    onData: handleData,
+                    onData: trainerData,
                     onConnecting: () => handleStatus('Trainer Connecting...'),
-                    onConnected: () => handleStatus('Trainer Connected'),
+                    onConnected: onTrainerConnected,
                     onConnectFail: (e) => handleStatus(`Trainer Failed: ${e.message}`),
                     onDisconnect: () => handleStatus('Trainer Disconnected'),
                     filter: webBle.filters.controllable()
@@ -492,6 +1022,14 @@ try {
                 statusState.general = "BLE Mode Ready";
                 renderStatus();
 
+                // Real devices only run in real time
+                state.simulationSpeed = 1;
+                rideClock.setSpeed(1);
+                if (state.isRunning) {
+                    stopLoopsForReconfiguration();
+                    startLoops();
+                }
+
                 // Hide Speed Controls
                 document.getElementById('simSpeedControls').style.display = 'none';
             }
@@ -520,29 +1058,91 @@ try {
 
         // Reset Chart
         if (workoutChart) {
+            chartLabels = [];
             workoutChart.data.labels = [];
             workoutChart.data.datasets.forEach(ds => ds.data = []);
             workoutChart.update();
         }
 
         // RE-APPLY FIXED CALIBRATION IF EXISTS
-        if (state.baseline && state.controller.calibrate) {
-            state.controller.calibrate(state.baseline.hr, state.baseline.pwr);
+        if (state.baseline) {
+            const { hr, pwr, gain, intercept } = state.baseline;
+            state.controller.calibrate(hr, pwr, { gain, intercept });
         }
-        let currentPowerTarget = 100;
+        state.targetPower = 100;
+        safety.reset(state.targetPower);
+        hrQuality.reset();
+        hrv.reset();
+        state.hrv = undefined;
+        alpha1Target.setMaxHR(safety.ceiling() - 5);
+        alpha1Target.reset();
+        smo2Target.reset();
+        if (state.useMock) trainerConn.playScenario?.(simScenarios[state.simScenario]);
+        faults.reset();
+
+        // Session Log
+        // Same split as scripts/bench.mjs: athlete on the seed, controller on seed + 1
+        const seed = simRandom.reseed();
+        controlRandom.reseed(seed + 1);
+        console.log(`[Ride] Seed ${seed}`);
+
+        state.elapsed = 0;
+        updateWorkout();
+        statusState.recorder = "";
+        renderStatus();
+        recorder.start({
+            seed,
+            controllerName: state.controllerName,
+            targetHR: state.targetHR,
+            targetMode: state.targetMode,
+            workout: workout.workout?.name,
+            source: state.useMock ? 'sim' : 'ble',
+            simAthlete: state.useMock ? simAthletes[state.simAthlete].name : undefined,
+            simScenario: state.useMock ? simScenarios[state.simScenario]?.name : undefined,
+            trainerRange: safety.trainerRange,
+            faults: faults.isActive() ? faults.get() : undefined,
+        });
+
+        startLoops();
+    }
 
+    // Both periods shrink with the simulation speed, in step with rideClock
+    function startLoops() {
         // Control Loop
         controlInterval = setInterval(async () => {
             if (!state.isRunning) return;
 
-            bench.update(state.hr, state.targetHR);
+            // Outer loop of the alpha1 mode, the controller below just sees a target HR
+            if (state.targetMode === 'alpha1' && !state.calibration) {
+                const next = alpha1Target.update(hrv.metrics(), state.targetHR);
+                if (next !== state.targetHR) {
+                    state.targetHR = next;
+                    updateUI();
+                }
+            }
 
-            const newPower = state.controller.update(state.targetHR, state.hr, currentPowerTarget);
-            currentPowerTarget = Math.round(newPower);
-            console.log(`Loop: HR ${state.hr} -> Power ${currentPowerTarget} W`);
+            // Guided calibration rides fixed steps, the controller sits out
+            const newPower = state.calibration
+                ? state.calibration.power()
+                : commandPower();
+
+            // The supervisor has the last word, the controller sees what was actually commanded
+            const safe = safety.filter(newPower, state.hr);
+            state.safety = safe.reason;
+            renderSafety();
+            state.targetPower = Math.round(safe.power);
+            state.prediction = state.calibration || !ui.diagPanel?.open
+                ? []
+                : state.controller.predictTrajectory(state.targetPower);
+            console.log(`Loop: HR ${state.hr} -> Power ${state.targetPower} W`);
             if (state.isConnected) { // Logic check
-                if (trainerConn.services && trainerConn.services.trainer) {
-                    await trainerConn.services.trainer.setPowerTarget({ power: currentPowerTarget });
+                try {
+                    await writePowerTarget(state.targetPower);
+                    // A write that goes through again clears an earlier failure
+                    if (statusState.trainer.includes('Write Failed')) handleStatus('Trainer Connected');
+                } catch (e) {
+                    console.error("Power target write failed", e);
+                    handleStatus(`Trainer Write Failed: ${e.message}`);
                 }
             }
         }, 2000 / state.simulationSpeed);
@@ -551,11 +1151,112 @@ try {
         timerInterval = setInterval(() => {
             state.elapsed += 1;
             updateTimer();
+            updateWorkout();
+            updateCalibration();
+            updateHrv();
+            recordSample();
             // Update Chart every second
             updateChart();
+            updateDiagnostics();
+            bench.update(state.hr, state.targetHR, state.targetPower);
+            updateBenchmark();
+            renderFaults();
         }, 1000 / state.simulationSpeed);
     }
 
+    // Void -> Number (W), what the active target mode asks for.
+    // On an unreliable HR signal the HR controller holds the last output, if the
+    // strap stays silent the supervisor's HR watchdog takes it down to recovery.
+    // In the SmO2 modes HR is the secondary constraint: the controller keeps
+    // steering for the target HR as a ceiling and wins whenever it asks for less.
+    function commandPower() {
+        const reliable = hrQuality.isReliable();
+        const hrPower = reliable
+            ? state.controller.update(state.targetHR, state.hr, state.targetPower)
+            : state.targetPower;
+        if (!smo2Modes[state.targetMode]) return hrPower;
+
+        const smo2Power = smo2Target.update(state.targetPower) ?? state.targetPower;
+        return reliable ? Math.min(smo2Power, hrPower) : smo2Power;
+    }
+
+    // Int (W) -> Promise<Bool>, every trainer write goes through the fault injector
+    async function writePowerTarget(power) {
+        const trainer = trainerConn.services?.trainer;
+        if (!trainer) return false;
+        return faults.setPowerTarget(trainer, { power });
+    }
+
+    function renderFaults() {
+        if (ui.faultStatus) {
+            ui.faultStatus.innerText = faults.isActive() ? 'ON' : '';
+            ui.faultStatus.style.color = faults.isActive() ? 'var(--danger)' : '#555';
+        }
+        if (!ui.faultStats || !ui.faultPanel?.open) return;
+        const { dropped, duplicated, reordered, frozen, ignored } = faults.stats;
+        ui.faultStats.innerText = `DROPPED ${dropped} · DUPLICATED ${duplicated} · REORDERED ${reordered}`
+            + ` · FROZEN ${frozen} · IGNORED WRITES ${ignored}`;
+    }
+
+    function renderSafety() {
+        if (!ui.safetyBadge) return;
+        ui.safetyBadge.innerText = state.safety ?? '';
+        ui.safetyBadge.style.display = state.safety ? 'block' : 'none';
+    }
+
+    function renderHrQuality() {
+        if (!ui.hrQualityBadge) return;
+        ui.hrQualityBadge.innerText = state.hrQuality ? `HR ${state.hrQuality}` : '';
+        ui.hrQualityBadge.style.display = state.hrQuality ? 'block' : 'none';
+    }
+
+    function updateHrv() {
+        state.hrv = hrv.metrics();
+        if (!ui.hrvValue) return;
+        const { rmssd, sdnn, alpha1, artifacts } = state.hrv;
+        ui.hrvValue.innerText = alpha1 === undefined
+            ? 'HRV --'
+            : `RMSSD ${fixed(rmssd, 0)} ms · SDNN ${fixed(sdnn, 0)} ms · α1 ${fixed(alpha1, 2)}`
+                + (artifacts > 5 ? ` (${fixed(artifacts, 0)}% corrected)` : '');
+    }
+
+    function renderCoreAlert() {
+        if (!ui.coreTempBadge) return;
+        ui.coreTempBadge.innerText = state.coreAlert ? `${state.coreAlert} ${state.coreTemp.toFixed(1)} °C` : '';
+        ui.coreTempBadge.style.display = state.coreAlert ? 'block' : 'none';
+        ui.coreTempBadge.style.background = state.coreAlert === CoreAlert.hot ? 'var(--danger)' : '#FFB300';
+        ui.coreTempBadge.style.color = state.coreAlert === CoreAlert.hot ? '#fff' : '#000';
+    }
+
+    function recordSample() {
+        const diagnostics = state.controller.getDiagnostics();
+
+        recorder.record({
+            t: state.elapsed,
+            hr: state.hr,
+            power: state.power,
+            targetPower: state.targetPower,
+            cadence: state.cadence,
+            targetHR: state.targetHR,
+            controllerName: state.controllerName,
+            safety: state.safety,
+            hrQuality: state.hrQuality,
+            alpha1Setpoint: state.targetMode === 'alpha1' ? alpha1Target.setpoint : undefined,
+            smo2: state.smo2,
+            thb: state.thb,
+            smo2Setpoint: smo2Modes[state.targetMode] ? smo2Target.setpoint : undefined,
+            coreTemp: state.coreTemp,
+            skinTemp: state.skinTemp,
+            hrv: state.hrv?.alpha1 === undefined ? undefined : {
+                rmssd: state.hrv.rmssd,
+                sdnn: state.hrv.sdnn,
+                alpha1: state.hrv.alpha1,
+                artifacts: state.hrv.artifacts,
+            },
+            diagnostics,
+        });
+    }
+
     function stopLoopsForReconfiguration() {
         clearInterval(controlInterval);
         clearInterval(timerInterval);
@@ -563,24 +1264,47 @@ try {
 
     function stopRide() {
         state.isRunning = false;
+        state.calibration = null; // abandon an unfinished guided calibration
+        state.safety = undefined;
+        renderSafety();
         stopLoopsForReconfiguration();
+        if (state.useMock) trainerConn.playScenario?.(undefined);
 
         ui.startBtn.innerText = "START";
         ui.startBtn.classList.remove('danger');
         ui.startBtn.classList.remove('danger');
-        if (trainerConn.services && trainerConn.services.trainer) {
-            trainerConn.services.trainer.setPowerTarget({ power: 50 });
+        if (state.isConnected) {
+            writePowerTarget(50).catch(e => {
+                console.error("Power target write failed", e);
+                handleStatus(`Trainer Write Failed: ${e.message}`);
+            });
         }
         releaseWakeLock();
+        updateWorkout();
+
+        recorder.stop().then(renderHistory);
     }
 
     function updateUI() {
         ui.hrValue.innerText = state.hr > 0 ? state.hr : '--';
         ui.powerValue.innerText = state.power > 0 ? state.power : '--';
         ui.cadenceValue.innerText = state.cadence > 0 ? Math.round(state.cadence) : '--';
+        if (ui.smo2Value) {
+            ui.smo2Value.style.display = state.smo2 !== undefined ? 'block' : 'none';
+            ui.smo2Value.innerText = state.smo2 !== undefined
+                ? `SmO2 ${state.smo2.toFixed(1)}% · THb ${state.thb?.toFixed(2) ?? '--'} g/dl`
+                : '';
+        }
+        if (ui.coreTempValue) {
+            ui.coreTempValue.style.display = state.coreTemp !== undefined ? 'block' : 'none';
+            ui.coreTempValue.innerText = state.coreTemp !== undefined
+                ? `Core ${state.coreTemp.toFixed(2)} °C · Skin ${state.skinTemp?.toFixed(1) ?? '--'} °C`
+                : '';
+        }
 
         // Update Target Display
         ui.targetDisplay.innerText = state.targetHR;
+        highlightZone();
 
         // Color Logic
         const zoneDiff = state.hr - state.targetHR;
@@ -590,6 +1314,164 @@ try {
         else if (zoneDiff > 2) ui.hrCard.classList.add('zone-high');
     }
 
+    // Workout
+    function updateWorkout() {
+        if (state.calibration) return; // panel shows calibration progress
+        if (state.targetMode === 'alpha1') return updateAlpha1Target();
+        if (smo2Modes[state.targetMode]) return updateSmo2Target();
+
+        const status = workout.at(state.elapsed);
+
+        if (!status) {
+            if (ui.workoutStep) ui.workoutStep.innerText = "Manual target";
+            if (ui.workoutNext) ui.workoutNext.innerText = "";
+            if (ui.workoutRemaining) ui.workoutRemaining.innerText = "";
+            return;
+        }
+
+        if (status.targetHR !== state.targetHR) {
+            state.targetHR = status.targetHR;
+            updateUI();
+        }
+
+        if (status.done) {
+            ui.workoutStep.innerText = `${workout.workout.name}: Complete`;
+            ui.workoutNext.innerText = `Holding ${status.targetHR} bpm`;
+            ui.workoutRemaining.innerText = "";
+            return;
+        }
+
+        const { step, next } = status;
+        const ramp = step.from !== step.to ? ` (${step.from} \u2192 ${step.to})` : '';
+        ui.workoutStep.innerText = `${step.name} @ ${status.targetHR} bpm${ramp}`;
+        ui.workoutNext.innerText = next
+            ? `Next: ${next.name} @ ${next.from} bpm`
+            : "Next: Finish";
+        ui.workoutRemaining.innerText = formatDuration(status.remaining);
+    }
+
+    function updateAlpha1Target() {
+        const { alpha1 } = hrv.metrics();
+        const now = alpha1 !== undefined ? ` (now ${alpha1.toFixed(2)})` : '';
+        ui.workoutStep.innerText = `Hold VT1: α1 ${alpha1Target.setpoint.toFixed(2)}${now}`;
+        ui.workoutNext.innerText = alpha1Target.held
+            ? `Holding ${state.targetHR} bpm, ${alpha1Target.held}`
+            : `Target HR ${state.targetHR} bpm`;
+        ui.workoutRemaining.innerText = "";
+    }
+
+    function updateSmo2Target() {
+        const setpoint = smo2Target.setpoint;
+        if (smo2Target.mode === 'rate') {
+            const slope = smo2Target.slope();
+            const now = slope !== undefined ? ` (now ${slope.toFixed(1)})` : '';
+            ui.workoutStep.innerText = `SmO2: desaturate at most ${setpoint.toFixed(1)} %/min${now}`;
+        } else {
+            const now = state.smo2 !== undefined ? ` (now ${state.smo2.toFixed(1)}%)` : '';
+            ui.workoutStep.innerText = `SmO2: hold ${setpoint.toFixed(1)}%${now}`;
+        }
+        ui.workoutNext.innerText = smo2Target.current() === undefined
+            ? `No SmO2 data, holding power, HR ceiling ${state.targetHR} bpm`
+            : `HR ceiling ${state.targetHR} bpm`;
+        ui.workoutRemaining.innerText = "";
+    }
+
+    // Power -> HR mapping uses the active controller's learned model
+    function controllerModel() {
+        const c = state.controller;
+        return {
+            ftp: athlete.get().ftp,
+            gain: c.rls?.theta ?? c.params?.gain,
+            hrMin: c.params?.hrMin,
+            hrMax: c.params?.hrMax,
+        };
+    }
+
+    const workoutFileInput = document.getElementById('workoutFileInput');
+    const IMPORT_OPTION = '__import';
+
+    function addWorkoutOption(key, name) {
+        const option = document.createElement('option');
+        option.value = key;
+        option.innerText = name;
+        const importOption = ui.workoutSelector.querySelector(`option[value="${IMPORT_OPTION}"]`);
+        ui.workoutSelector.insertBefore(option, importOption);
+        return option;
+    }
+
+    if (ui.workoutSelector) {
+        Object.entries(workoutLibrary).forEach(([key, item]) => addWorkoutOption(key, item.name));
+
+        if (workoutFileInput) {
+            const option = document.createElement('option');
+            option.value = IMPORT_OPTION;
+            option.innerText = "Import .zwo / .erg / .mrc...";
+            ui.workoutSelector.appendChild(option);
+
+            workoutFileInput.addEventListener('change', async () => {
+                const file = workoutFileInput.files[0];
+                workoutFileInput.value = '';
+                if (!file) return;
+
+                try {
+                    const imported = importWorkout(file.name, await file.text(), controllerModel());
+                    const key = `import_${Object.keys(workoutLibrary).length}`;
+                    workoutLibrary[key] = imported;
+                    addWorkoutOption(key, imported.name);
+                    ui.workoutSelector.value = key;
+                    ui.workoutSelector.dispatchEvent(new Event('change'));
+                } catch (e) {
+                    console.error("Workout import failed", e);
+                    handleStatus(`Import failed: ${e.message}`);
+                }
+            });
+        }
+
+        ui.workoutSelector.addEventListener('change', (e) => {
+            if (e.target.value === IMPORT_OPTION) {
+                // keep showing the running workout until a file is picked
+                const current = Object.keys(workoutLibrary).find(k => workoutLibrary[k] === workout.workout);
+                e.target.value = current ?? '';
+                workoutFileInput.click();
+                return;
+            }
+
+            const selected = workoutLibrary[e.target.value];
+            if (selected) {
+                workout.load(selected);
+                console.log(`[App] Workout loaded: ${selected.name}`);
+            } else {
+                workout.clear();
+            }
+            updateWorkout();
+        });
+    }
+
+    // Workouts drive the HR target, the alpha1 mode does it from the RR intervals
+    ui.targetModeSelector?.addEventListener('change', (e) => {
+        state.targetMode = e.target.value;
+        if (ui.workoutSelector) ui.workoutSelector.disabled = state.targetMode !== 'hr';
+        alpha1Target.setMaxHR(safety.ceiling() - 5);
+        alpha1Target.reset();
+
+        const smo2Mode = smo2Modes[state.targetMode];
+        if (smo2Mode) smo2Target.setMode(smo2Mode);
+        if (ui.smo2Setpoint) {
+            ui.smo2Setpoint.style.display = smo2Mode ? 'block' : 'none';
+            ui.smo2Setpoint.step = smo2Mode === 'rate' ? '0.1' : '1';
+            ui.smo2Setpoint.title = smo2Mode === 'rate' ? 'Max desaturation (%/min)' : 'SmO2 target (%)';
+            ui.smo2Setpoint.value = smo2Target.setpoint;
+        }
+
+        console.log(`[App] Target mode: ${state.targetMode}`);
+        updateWorkout();
+    });
+
+    ui.smo2Setpoint?.addEventListener('change', (e) => {
+        e.target.value = smo2Target.setSetpoint(parseFloat(e.target.value));
+        updateWorkout();
+    });
+
     function updateTimer() {
         const totalSecs = state.elapsed;
         const hours = Math.floor(totalSecs / 3600);
@@ -608,7 +1490,9 @@ try {
         ui.connectTrainerBtn.addEventListener('click', async () => {
             if (ui.connectTrainerBtn.classList.contains('connected')) {
                 // Action: Disconnect
-                await trainerConn.disconnect();
+                if (state.useMock) await trainerConn.disconnect('trainer');
+                else await trainerConn.disconnect();
+                applyTrainerRange(undefined);
 
                 ui.connectTrainerBtn.classList.remove('connected');
                 ui.connectTrainerBtn.innerText = "TRAINER";
@@ -618,14 +1502,14 @@ try {
                 // Auuki's Connectable.connect() triggers requestDevice
                 // We might need to handle args?
                 // connect({requesting: true}) is likely what we want for user-initiated action
-                await trainerConn.connect({ requesting: true });
-
-                // Auuki doesn't return true/false sync, it is async.
-                // We rely on callbacks or check status.
-                // Wait a bit or check isConnected?
-                // Actually `connect` is async.
-
-                if (trainerConn.isConnected()) {
+                // The simulator has a trainer of its own
+                const connected = state.useMock && trainerConn.connectTrainer
+                    ? await trainerConn.connectTrainer()
+                    : (await trainerConn.connect({ requesting: true }), trainerConn.isConnected());
+
+                if (connected) {
+                    // A BLE trainer applied its range in onTrainerConnected, the simulator has none
+                    if (state.useMock) applyTrainerRange(undefined);
                     ui.connectTrainerBtn.classList.add('connected');
                     ui.connectTrainerBtn.innerText = "TRAINER";
                     checkReady();
@@ -641,16 +1525,19 @@ try {
             // Toggle Logic
             if (ui.connectHrBtn.classList.contains('connected')) {
                 // Action: Disconnect
-                await hrConn.disconnect();
+                if (state.useMock) await trainerConn.disconnect('hr');
+                else await hrConn.disconnect();
                 // state.isConnected = false; // Don't disable global connected just because HR disconnects?
                 ui.connectHrBtn.classList.remove('connected');
                 ui.connectHrBtn.innerText = "HRM";
                 ui.connectHrBtn.disabled = false;
             } else {
                 // Action: Connect
-                await hrConn.connect({ requesting: true });
+                const connected = state.useMock && trainerConn.connectHR
+                    ? await trainerConn.connectHR()
+                    : (await hrConn.connect({ requesting: true }), hrConn.isConnected());
 
-                if (hrConn.isConnected()) {
+                if (connected) {
                     ui.connectHrBtn.classList.add('connected');
                     ui.connectHrBtn.innerText = "HRM";
                     checkReady();
@@ -659,6 +1546,47 @@ try {
         });
     }
 
+    if (ui.connectSmo2Btn) {
+        ui.connectSmo2Btn.addEventListener('click', async () => {
+            if (ui.connectSmo2Btn.classList.contains('connected')) {
+                if (state.useMock) await trainerConn.disconnect?.('smo2');
+                else await smo2Conn.disconnect();
+                ui.connectSmo2Btn.classList.remove('connected');
+                state.smo2 = undefined;
+                state.thb = undefined;
+                updateUI();
+                return;
+            }
+
+            // The simulator has a Moxy of its own
+            const connected = state.useMock && trainerConn.connectSmo2
+                ? await trainerConn.connectSmo2()
+                : (await smo2Conn.connect({ requesting: true }), smo2Conn.isConnected());
+            if (connected) ui.connectSmo2Btn.classList.add('connected');
+        });
+    }
+
+    if (ui.connectCoreTempBtn) {
+        ui.connectCoreTempBtn.addEventListener('click', async () => {
+            if (ui.connectCoreTempBtn.classList.contains('connected')) {
+                if (state.useMock) await trainerConn.disconnect?.('coreTemp');
+                else await coreTempConn.disconnect();
+                ui.connectCoreTempBtn.classList.remove('connected');
+                state.coreTemp = undefined;
+                state.skinTemp = undefined;
+                state.coreAlert = undefined;
+                renderCoreAlert();
+                updateUI();
+                return;
+            }
+
+            const connected = state.useMock && trainerConn.connectCoreTemp
+                ? await trainerConn.connectCoreTemp()
+                : (await coreTempConn.connect({ requesting: true }), coreTempConn.isConnected());
+            if (connected) ui.connectCoreTempBtn.classList.add('connected');
+        });
+    }
+
     if (ui.modeBtn) {
         ui.modeBtn.addEventListener('click', () => {
             state.controller.reset(); // Reset current before switch
@@ -739,21 +1667,281 @@ try {
         btn.addEventListener('touchend', stop);
     }
 
+    // +1/-1 -> Void, in the alpha1 mode +/- move the alpha1 setpoint instead
+    function nudgeTarget(direction) {
+        if (state.targetMode === 'alpha1') {
+            alpha1Target.setSetpoint(alpha1Target.setpoint + direction * 0.01);
+            updateWorkout();
+            return;
+        }
+        setTargetHR(state.targetHR + direction);
+    }
+
+    // Int -> Void, keeps a running workout's plan in sync with manual changes
+    function setTargetHR(value) {
+        const next = Math.max(60, Math.min(200, value));
+        if (workout.isActive()) workout.nudge(next - state.targetHR);
+        state.targetHR = next;
+        updateUI();
+    }
+
     if (ui.targetInc) {
-        setupRepeatButton(ui.targetInc, () => {
-            if (state.targetHR < 200) {
-                state.targetHR++;
-                updateUI();
-            }
-        });
+        setupRepeatButton(ui.targetInc, () => nudgeTarget(1));
     }
 
     if (ui.targetDec) {
-        setupRepeatButton(ui.targetDec, () => {
-            if (state.targetHR > 60) {
-                state.targetHR--;
-                updateUI();
+        setupRepeatButton(ui.targetDec, () => nudgeTarget(-1));
+    }
+
+    // Athlete Modal
+    const athleteBtn = document.getElementById('athleteBtn');
+    const athleteModal = document.getElementById('athleteModal');
+    const athleteFields = {
+        age: 'athleteAge',
+        weight: 'athleteWeight',
+        restHR: 'athleteRestHr',
+        maxHR: 'athleteMaxHr',
+        lthr: 'athleteLthr',
+        ftp: 'athleteFtp',
+    };
+
+    const safetyFields = {
+        hrCeiling: 'safetyHrCeiling',
+        maxPower: 'safetyMaxPower',
+        rampRate: 'safetyRampRate',
+        staleAfter: 'safetyStaleAfter',
+        recoveryPower: 'safetyRecoveryPower',
+        coreTempWarn: 'safetyCoreTempWarn',
+        coreTempAlert: 'safetyCoreTempAlert',
+    };
+
+    if (athleteBtn && athleteModal) {
+        athleteBtn.addEventListener('click', () => {
+            const profile = athlete.get();
+            Object.entries(athleteFields).forEach(([key, id]) => {
+                document.getElementById(id).value = profile[key] ?? '';
+            });
+            const limits = safety.get();
+            Object.entries(safetyFields).forEach(([key, id]) => {
+                document.getElementById(id).value = limits[key] ?? '';
+            });
+            document.getElementById('athleteZoneSystem').value = profile.zoneSystem;
+            athleteModal.style.display = 'flex';
+        });
+
+        document.getElementById('closeAthleteBtn')?.addEventListener('click', () => {
+            athleteModal.style.display = 'none';
+        });
+
+        document.getElementById('saveAthleteBtn')?.addEventListener('click', () => {
+            const values = { zoneSystem: document.getElementById('athleteZoneSystem').value };
+            Object.entries(athleteFields).forEach(([key, id]) => {
+                values[key] = document.getElementById(id).value;
+            });
+
+            athlete.set(values);
+            athlete.save();
+            applyAthlete();
+            console.log("[App] Athlete profile saved", athlete.controllerLimits());
+
+            const limits = {};
+            Object.entries(safetyFields).forEach(([key, id]) => {
+                limits[key] = document.getElementById(id).value;
+            });
+            safety.configure(limits);
+            safety.save();
+            applyTrainerRange(safety.trainerRange);
+            console.log("[App] Safety limits saved", { ...safety.get(), hrCeiling: safety.ceiling() });
+            athleteModal.style.display = 'none';
+        });
+    }
+
+    // Calibration (manual point or guided ride)
+    const calibModal = document.getElementById('calibrationModal');
+    const calibResult = document.getElementById('calibResult');
+
+    function saveCalibration(calibration) {
+        state.baseline = calibration;
+        localStorage.setItem('zone2_calibration', JSON.stringify(calibration));
+        // A guided fit moved hrMin, a manual point anchors on the profile's again
+        const limits = athlete.controllerLimits();
+        Object.values(controllers).forEach(c => applyLimits(c, limits));
+        applyCalibration(calibration);
+        console.log(`[App] Calibration saved: ${calibration.hr} bpm @ ${calibration.pwr} W`);
+    }
+
+    function openCalibration() {
+        if (!calibModal) return;
+        if (state.baseline) {
+            document.getElementById('calibHrInput').value = state.baseline.hr;
+            document.getElementById('calibPowerInput').value = state.baseline.pwr;
+        }
+        calibModal.style.display = 'flex';
+    }
+
+    function showCalibrationResult(result) {
+        if (!calibResult) return;
+        if (!result) {
+            calibResult.style.display = 'none';
+            return;
+        }
+        const points = result.points.map(p => `${p.power} W: ${p.hr} bpm${p.steady ? '' : '*'}`).join(' &middot; ');
+        calibResult.innerHTML = `${points}<br>Fit: HR = ${result.intercept.toFixed(0)} + ${result.gain.toFixed(3)} &times; W (R&sup2; ${result.r2.toFixed(2)})`;
+        calibResult.style.display = 'block';
+    }
+
+    function updateCalibration() {
+        const run = state.calibration;
+        if (!run) return;
+
+        const status = run.tick(state.elapsed, state.hr);
+
+        if (status.done) {
+            state.calibration = null;
+            const result = run.result;
+            if (result) {
+                saveCalibration(result);
+                showCalibrationResult(result);
+                openCalibration();
+            } else {
+                handleStatus(`Calibration failed: ${run.error ?? 'not enough HR data'}`);
             }
+            updateWorkout();
+            return;
+        }
+
+        ui.workoutStep.innerText = `Calibration ${status.step}/${status.steps} @ ${status.power} W`;
+        ui.workoutNext.innerText = status.minRemaining > 0
+            ? "Settling..."
+            : "Waiting for steady HR...";
+        ui.workoutRemaining.innerText = formatDuration(status.stepElapsed);
+    }
+
+    if (calibModal) {
+        document.getElementById('openCalibBtn')?.addEventListener('click', () => {
+            if (athleteModal) athleteModal.style.display = 'none';
+            openCalibration();
+        });
+
+        document.getElementById('closeCalibBtn')?.addEventListener('click', () => {
+            calibModal.style.display = 'none';
+        });
+
+        // Manual point: "I hold X bpm at Y watts"
+        document.getElementById('saveCalibBtn')?.addEventListener('click', () => {
+            const hr = parseInt(document.getElementById('calibHrInput').value, 10);
+            const pwr = parseInt(document.getElementById('calibPowerInput').value, 10);
+            if (!(hr > 0 && pwr > 0)) return;
+
+            saveCalibration({ hr, pwr });
+            showCalibrationResult(undefined);
+            calibModal.style.display = 'none';
+        });
+
+        document.getElementById('guidedCalibBtn')?.addEventListener('click', () => {
+            if (state.isRunning) stopRide();
+
+            state.calibration = CalibrationRun();
+            calibModal.style.display = 'none';
+            showCalibrationResult(undefined);
+            startRide();
+        });
+    }
+
+    // Ride History
+    const historyBtn = document.getElementById('historyBtn');
+    const historyModal = document.getElementById('historyModal');
+    const historyList = document.getElementById('historyList');
+
+    function formatDuration(totalSecs = 0) {
+        const hours = Math.floor(totalSecs / 3600);
+        const mins = Math.floor((totalSecs % 3600) / 60).toString().padStart(2, '0');
+        const secs = Math.floor(totalSecs % 60).toString().padStart(2, '0');
+        return hours > 0 ? `${hours}:${mins}:${secs}` : `${mins}:${secs}`;
+    }
+
+    async function renderHistory() {
+        if (!historyList) return;
+
+        let sessions = [];
+        try {
+            sessions = await sessionStore.listSessions();
+        } catch (e) {
+            console.error("History load failed", e);
+        }
+
+        historyList.innerHTML = '';
+
+        if (sessions.length === 0) {
+            historyList.innerHTML = '<div style="color: #666; font-size: 0.8rem; padding: 20px 0;">No rides recorded yet.</div>';
+            return;
+        }
+
+        sessions.forEach(session => {
+            const row = document.createElement('div');
+            row.className = 'history-row';
+            row.style.cssText = "display: flex; align-items: center; gap: 10px; padding: 10px 0; border-bottom: 1px solid rgba(255,255,255,0.05); text-align: left;";
+
+            const date = new Date(session.startedAt);
+            const info = document.createElement('div');
+            info.style.flex = '1';
+            info.innerHTML = `
+                <div style="font-size: 0.85rem; color: #fff;">${date.toLocaleDateString()} ${date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</div>
+                <div style="font-size: 0.7rem; color: #888;">${formatDuration(session.duration)} &middot; ${session.avgHR ?? '--'} bpm &middot; ${session.avgPower ?? '--'} W &middot; ${session.controllerName ?? ''}${session.source === 'sim' ? ` (sim, seed ${session.seed ?? '--'})` : ''}</div>`;
+
+            const actions = document.createElement('div');
+            actions.className = 'history-actions';
+            actions.style.cssText = "display: flex; gap: 6px;";
+
+            const exportBtn = (label, action) => {
+                const btn = document.createElement('button');
+                btn.innerText = label;
+                btn.style.cssText = "padding: 6px 8px; font-size: 0.65rem; background: var(--accent); color: #fff; border: none; border-radius: 6px;";
+                btn.addEventListener('click', async () => {
+                    try {
+                        const ride = await sessionStore.getSession(session.id);
+                        if (ride) action(ride);
+                    } catch (e) {
+                        console.error("Ride export failed", e);
+                        handleStatus(`Export failed: ${e.message}`);
+                    }
+                });
+                return btn;
+            };
+
+            actions.append(
+                exportBtn('FIT', ride => downloadFile(encodeFit(ride), sessionFilename(ride.meta, 'fit'))),
+                exportBtn('TCX', ride => downloadFile(encodeTcx(ride), sessionFilename(ride.meta, 'tcx'), 'application/vnd.garmin.tcx+xml')),
+                exportBtn('CSV', ride => downloadFile(encodeCsv(ride), sessionFilename(ride.meta, 'csv'), 'text/csv')),
+            );
+
+            const delBtn = document.createElement('button');
+            delBtn.innerText = 'DELETE';
+            delBtn.style.cssText = "padding: 6px 8px; font-size: 0.65rem; background: #333; color: #ccc; border: none; border-radius: 6px;";
+            delBtn.addEventListener('click', async () => {
+                if (!confirm('Delete this ride?')) return;
+                try {
+                    await sessionStore.deleteSession(session.id);
+                } catch (e) {
+                    console.error("Ride delete failed", e);
+                    handleStatus(`Delete failed: ${e.message}`);
+                }
+                renderHistory();
+            });
+            actions.append(delBtn);
+
+            row.append(info, actions);
+            historyList.append(row);
+        });
+    }
+
+    if (historyBtn && historyModal) {
+        historyBtn.addEventListener('click', () => {
+            historyModal.style.display = 'flex';
+            renderHistory();
+        });
+        document.getElementById('closeHistoryBtn')?.addEventListener('click', () => {
+            historyModal.style.display = 'none';
         });
     }
 
@@ -933,13 +2121,10 @@ try {
                         if (span) span.innerText = state.targetHR;
                     };
 
+                    // Same as the main +/- buttons (HR target, workout plan or alpha1 setpoint)
                     const changeTarget = (delta) => {
-                        const newVal = state.targetHR + delta;
-                        if (newVal >= 60 && newVal <= 200) {
-                            state.targetHR = newVal;
-                            updateUI(); // Main app
-                            updatePipTarget(); // PiP
-                        }
+                        nudgeTarget(delta);
+                        updatePipTarget();
                     };
 
                     // Repeat Logic
@@ -1002,6 +2187,7 @@ try {
     }
 
     // Init
+    applyAthlete();
     updateTimer();
 
 } catch (e) {
@@ -0,0 +1,127 @@
+//
+// Athlete Profile
+// age, weight, resting HR, max HR, LTHR, FTP + preferred zone system
+//
+// Persisted to localStorage next to 'zone2_calibration'. Anything left blank
+// falls back to an estimate (max HR from age) or to the controllers' defaults.
+//
+
+import { ZoneSystem, zones } from './zones.js';
+
+const STORAGE_KEY = 'zone2_athlete';
+
+const defaults = {
+    age: undefined,
+    weight: 75,
+    restHR: undefined,
+    maxHR: undefined,
+    lthr: undefined,
+    ftp: 200,
+    zoneSystem: ZoneSystem.karvonen,
+};
+
+// model defaults used by the controllers when the profile is empty
+const MODEL_HR_MIN = 65;
+const MODEL_HR_MAX = 195;
+
+// Int -> Int, Tanaka et al. (2001)
+function estimateMaxHR(age) {
+    return Math.round(208 - 0.7 * age);
+}
+
+// Any -> Number?
+function toNumber(value) {
+    const n = parseFloat(value);
+    return Number.isFinite(n) && n > 0 ? n : undefined;
+}
+
+function AthleteProfile(args = {}) {
+    const storage = args.storage ?? globalThis.localStorage;
+
+    let _profile = { ...defaults };
+
+    // {} -> {}
+    function set(values = {}) {
+        const next = { ..._profile };
+        ['age', 'weight', 'restHR', 'maxHR', 'lthr', 'ftp'].forEach(key => {
+            if (key in values) next[key] = toNumber(values[key]);
+        });
+        if (values.zoneSystem in ZoneSystem) next.zoneSystem = values.zoneSystem;
+        _profile = next;
+        return get();
+    }
+
+    // Void -> {}
+    function get() {
+        return { ..._profile };
+    }
+
+    // Void -> Int
+    function maxHR() {
+        if (_profile.maxHR) return _profile.maxHR;
+        if (_profile.age) return estimateMaxHR(_profile.age);
+        return undefined;
+    }
+
+    // Void -> Bool
+    function isConfigured() {
+        return Boolean(_profile.restHR || maxHR() || _profile.lthr);
+    }
+
+    // Void -> {hrMin, hrMax}
+    // hrMin is the model's HR at 0 W, resting HR is the closest measurable anchor
+    function controllerLimits() {
+        return {
+            hrMin: _profile.restHR ?? MODEL_HR_MIN,
+            hrMax: maxHR() ?? MODEL_HR_MAX,
+        };
+    }
+
+    // String? -> [{id, name, low, high}]
+    function getZones(system = _profile.zoneSystem) {
+        return zones({ restHR: _profile.restHR, maxHR: maxHR(), lthr: _profile.lthr }, system);
+    }
+
+    // Void -> Bool
+    function load() {
+        try {
+            const saved = storage?.getItem(STORAGE_KEY);
+            if (!saved) return false;
+            set(JSON.parse(saved));
+            return true;
+        } catch (e) {
+            console.error('[Athlete] Load failed', e);
+            return false;
+        }
+    }
+
+    // Void -> Void
+    function save() {
+        storage?.setItem(STORAGE_KEY, JSON.stringify(_profile));
+    }
+
+    if (args.profile) set(args.profile);
+
+    return Object.freeze({
+        get,
+        set,
+        load,
+        save,
+        maxHR,
+        isConfigured,
+        controllerLimits,
+        zones: getZones,
+    });
+}
+
+// controller, {hrMin, hrMax} -> Void
+function applyLimits(controller, { hrMin, hrMax }) {
+    if (controller?.params && 'hrMin' in controller.params) {
+        controller.params.hrMin = hrMin;
+        controller.params.hrMax = hrMax;
+    }
+    // V10 keeps its own copy inside the demand observer
+    controller?.demandObserver?.updateParams({ hrMin, hrMax });
+}
+
+export { AthleteProfile, applyLimits, estimateMaxHR, STORAGE_KEY };
@@ -0,0 +1,154 @@
+//
+// Guided Calibration
+// Ride a few fixed-power steps, detect steady-state HR at each, fit HR = a + b * P
+//
+// Driven at 1 Hz by ride time. A step ends once HR has been flat for the
+// steady window (after a minimum settle time) or when the step times out,
+// in which case the tail average is used anyway and flagged as not steady.
+// A step that times out with too little HR (strap off) ends the run with an
+// error instead of holding its power forever.
+//
+
+const defaults = {
+    steps: [100, 140, 180], // W
+    minStepTime: 180,       // s before steady state is even considered
+    maxStepTime: 480,       // s, give up waiting and take the tail
+    window: 60,             // s of HR used for the steady-state test
+    maxSlope: 0.03,         // bpm/s (~2 bpm/min) counts as flat
+    minSamples: 30,         // HR samples a timed-out step needs to be used
+};
+
+// [Number] -> Number (bpm/s), least squares slope against 1 Hz index
+function slope(values) {
+    const n = values.length;
+    if (n < 2) return 0;
+    const meanX = (n - 1) / 2;
+    const meanY = values.reduce((a, b) => a + b, 0) / n;
+    let num = 0, den = 0;
+    values.forEach((y, x) => {
+        num += (x - meanX) * (y - meanY);
+        den += (x - meanX) ** 2;
+    });
+    return den === 0 ? 0 : num / den;
+}
+
+// [{power, hr}] -> {gain, intercept, r2}?
+function fitLine(points) {
+    const n = points.length;
+    if (n < 2) return undefined;
+
+    const mx = points.reduce((a, p) => a + p.power, 0) / n;
+    const my = points.reduce((a, p) => a + p.hr, 0) / n;
+    let sxy = 0, sxx = 0, syy = 0;
+    points.forEach(p => {
+        sxy += (p.power - mx) * (p.hr - my);
+        sxx += (p.power - mx) ** 2;
+        syy += (p.hr - my) ** 2;
+    });
+    if (sxx === 0) return undefined;
+
+    const gain = sxy / sxx;
+    return {
+        gain,
+        intercept: my - gain * mx,
+        r2: syy === 0 ? 1 : (sxy * sxy) / (sxx * syy),
+    };
+}
+
+function CalibrationRun(args = {}) {
+    const config = { ...defaults, ...args };
+
+    let _index = 0;
+    let _stepStart;
+    let _hr = [];
+    let _points = [];
+    let _result;
+    let _error;
+
+    // Void -> Bool
+    function isDone() {
+        return _error !== undefined || _index >= config.steps.length;
+    }
+
+    // Void -> Int (W)
+    function power() {
+        return config.steps[Math.min(_index, config.steps.length - 1)];
+    }
+
+    function fail(message) {
+        _error = message;
+        console.warn(`[Calibration] Step ${_index + 1}: ${message}`);
+    }
+
+    function finishStep(steady) {
+        const tail = _hr.slice(-config.window);
+        const hr = tail.reduce((a, b) => a + b, 0) / tail.length;
+        _points.push({ power: power(), hr, steady });
+        console.log(`[Calibration] Step ${_index + 1}: ${power()} W -> ${hr.toFixed(1)} bpm${steady ? '' : ' (timeout)'}`);
+
+        _index += 1;
+        _hr = [];
+        _stepStart = undefined;
+
+        if (isDone()) _result = result();
+    }
+
+    // Int (s), Int (bpm) -> {power, step, steps, stepElapsed, steadyIn, done}
+    function tick(t, hr) {
+        if (isDone()) return status(t);
+        if (_stepStart === undefined) _stepStart = t;
+        if (hr > 0) _hr.push(hr);
+
+        const stepElapsed = t - _stepStart;
+        const flat = stepElapsed >= config.minStepTime && _hr.length >= config.window
+            && Math.abs(slope(_hr.slice(-config.window))) <= config.maxSlope;
+        if (flat) finishStep(true);
+        else if (stepElapsed >= config.maxStepTime) {
+            if (_hr.length >= config.minSamples) finishStep(false);
+            else fail(`only ${_hr.length} HR samples in ${stepElapsed} s, check the strap`);
+        }
+
+        return status(t);
+    }
+
+    function status(t) {
+        const stepElapsed = _stepStart === undefined ? 0 : t - _stepStart;
+        return {
+            power: power(),
+            step: Math.min(_index + 1, config.steps.length),
+            steps: config.steps.length,
+            stepElapsed,
+            minRemaining: Math.max(0, config.minStepTime - stepElapsed),
+            done: isDone(),
+            ...(_error && { error: _error }),
+        };
+    }
+
+    // Void -> {hr, pwr, gain, intercept, r2, points}?
+    // hr/pwr is the fitted line at the middle step, the anchor calibrate(hr, pwr) expects
+    function result() {
+        const line = fitLine(_points);
+        if (!line) return undefined;
+
+        const pwr = config.steps[Math.floor(config.steps.length / 2)];
+        return {
+            hr: Math.round(line.intercept + line.gain * pwr),
+            pwr,
+            gain: line.gain,
+            intercept: line.intercept,
+            r2: line.r2,
+            points: _points.map(p => ({ ...p, hr: Math.round(p.hr * 10) / 10 })),
+        };
+    }
+
+    return Object.freeze({
+        tick,
+        power,
+        isDone,
+        get result() { return _result; },
+        get error() { return _error; },
+        get points() { return [..._points]; },
+    });
+}
+
+export { CalibrationRun, fitLine };
@@ -0,0 +1,84 @@
+//
+// HR Zones
+// Zone systems computed from the athlete profile
+//
+// Every system returns [{id, name, low, high}] in bpm, low inclusive.
+// Systems whose anchor is missing (e.g. Friel without LTHR) return [].
+//
+
+const ZoneSystem = {
+    karvonen: 'karvonen',
+    hrMax: 'hrMax',
+    friel: 'friel',
+    seiler: 'seiler',
+};
+
+// Five zone split shared by %HRmax and Karvonen (%HRR)
+const fiveZones = [
+    ['Z1', 'Recovery',  0.50, 0.60],
+    ['Z2', 'Endurance', 0.60, 0.70],
+    ['Z3', 'Tempo',     0.70, 0.80],
+    ['Z4', 'Threshold', 0.80, 0.90],
+    ['Z5', 'VO2max',    0.90, 1.00],
+];
+
+// Joe Friel, cycling, % of LTHR
+const frielZones = [
+    ['Z1',  'Recovery',        0.00, 0.81],
+    ['Z2',  'Aerobic',         0.81, 0.90],
+    ['Z3',  'Tempo',           0.90, 0.94],
+    ['Z4',  'SubThreshold',    0.94, 1.00],
+    ['Z5a', 'SuperThreshold',  1.00, 1.03],
+    ['Z5b', 'Aerobic Capacity', 1.03, 1.07],
+    ['Z5c', 'Anaerobic',       1.07, Infinity],
+];
+
+// Seiler 3-zone (intensity distribution), % of HRmax around VT1 / VT2
+const seilerZones = [
+    ['Z1', 'Below VT1',   0.00, 0.82],
+    ['Z2', 'VT1 - VT2',   0.82, 0.87],
+    ['Z3', 'Above VT2',   0.87, 1.00],
+];
+
+// [[id, name, lo, hi]], Number -> Number -> [{}]
+function build(table, toBpm, floor, ceiling) {
+    return table.map(([id, name, lo, hi]) => ({
+        id,
+        name,
+        low: Math.round(Math.max(floor, toBpm(lo))),
+        high: Math.round(Math.min(ceiling, toBpm(hi))),
+    }));
+}
+
+// {maxHR, restHR, lthr}, String -> [{id, name, low, high}]
+function zones(profile, system = ZoneSystem.karvonen) {
+    const { maxHR, restHR, lthr } = profile;
+    const floor = restHR ?? 0;
+    const ceiling = maxHR ?? Infinity;
+
+    switch (system) {
+        case ZoneSystem.hrMax:
+            if (!maxHR) return [];
+            return build(fiveZones, p => p * maxHR, floor, ceiling);
+        case ZoneSystem.karvonen:
+            if (!maxHR || !restHR) return [];
+            return build(fiveZones, p => restHR + p * (maxHR - restHR), floor, ceiling);
+        case ZoneSystem.friel:
+            if (!lthr) return [];
+            return build(frielZones, p => p * lthr, floor, Number.isFinite(ceiling) ? ceiling : lthr * 1.1);
+        case ZoneSystem.seiler:
+            if (!maxHR) return [];
+            return build(seilerZones, p => p * maxHR, floor, ceiling);
+        default:
+            console.warn(`[Zones] Unknown zone system '${system}'.`);
+            return [];
+    }
+}
+
+// [{}], Int -> {}?
+function zoneOf(list, hr) {
+    return list.find(z => hr >= z.low && hr < z.high) ??
+        (list.length && hr >= list[list.length - 1].high ? list[list.length - 1] : undefined);
+}
+
+export { ZoneSystem, zones, zoneOf };
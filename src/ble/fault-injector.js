@@ -0,0 +1,166 @@
+//
+// Fault Injector
+// Sits between the device callbacks and the app, and plays the cheap trainer / flaky strap
+//
+// Notifications (wrap(onData)):
+//   delay, jitter   every notification arrives delay + random(0..jitter) ms late
+//   drop            probability a notification never arrives
+//   duplicate       probability it arrives twice
+//   reorder         probability it is held back reorderBy ms, so later ones overtake it
+//   freezeHR        HR keeps repeating the value it had when this was switched on, no RR
+// Writes (setPowerTarget(trainer, args)):
+//   ignoreWrites    probability a power target is acknowledged but never applied
+//
+// Works on any onData / trainer service, BLE (Connectable) or simulated
+// (MockConnectable). Delayed notifications wait in a queue on `clock` and go
+// out on flush(): the browser schedules it with setTimeout, headless runs call
+// it every tick. With every fault off, wrapped handlers are called directly.
+//
+
+import { systemClock } from '../control/clock.js';
+import { systemRandom } from '../control/random.js';
+
+const defaults = {
+    delay: 0,          // ms
+    jitter: 0,         // ms
+    drop: 0,           // probability
+    duplicate: 0,      // probability
+    reorder: 0,        // probability
+    reorderBy: 1500,   // ms
+    freezeHR: false,
+    ignoreWrites: 0,   // probability
+};
+
+const emptyStats = () => ({ dropped: 0, duplicated: 0, reordered: 0, frozen: 0, ignored: 0 });
+
+function FaultInjector(args = {}) {
+    const clock = args.clock ?? systemClock;
+    const random = args.random ?? systemRandom;
+    const schedule = args.schedule ?? ((fn, ms) => setTimeout(fn, ms));
+
+    let _faults = { ...defaults };
+    let _queue = [];    // {due, handler, data}, by due
+    let _frozenHR;
+    let _stats = emptyStats();
+
+    // {} -> {}, unknown keys are ignored, numbers are clamped to something sane
+    function configure(values = {}) {
+        const next = { ..._faults };
+        Object.keys(defaults).forEach(key => {
+            if (!(key in values)) return;
+            if (typeof defaults[key] === 'boolean') {
+                next[key] = values[key] === true || values[key] === 'true';
+                return;
+            }
+            const n = parseFloat(values[key]);
+            const max = ['delay', 'jitter', 'reorderBy'].includes(key) ? Infinity : 1;
+            next[key] = Number.isFinite(n) ? Math.max(0, Math.min(max, n)) : defaults[key];
+        });
+        if (!next.freezeHR) _frozenHR = undefined;
+        _faults = next;
+        return get();
+    }
+
+    // Void -> {}
+    function get() {
+        return { ..._faults };
+    }
+
+    // Void -> Bool
+    function isActive() {
+        return Object.keys(defaults).some(key => key !== 'reorderBy' && _faults[key]);
+    }
+
+    // Void -> Void
+    function reset() {
+        _queue = [];
+        _frozenHR = undefined;
+        _stats = emptyStats();
+    }
+
+    // {} -> {}
+    function freeze(data) {
+        if (!_faults.freezeHR || !('heartRate' in data)) return data;
+        _frozenHR ??= data.heartRate;
+        _stats.frozen++;
+        const { rrInterval, ...rest } = data;
+        return { ...rest, heartRate: _frozenHR };
+    }
+
+    // Function, {}, Number (ms) -> Void
+    function enqueue(handler, data, after) {
+        if (after <= 0 && !_queue.length) return handler(data);
+
+        const item = { due: clock.now() + after, handler, data };
+        const index = _queue.findIndex(i => i.due > item.due);
+        if (index === -1) _queue.push(item);
+        else _queue.splice(index, 0, item);
+        schedule(flush, after);
+    }
+
+    // Void -> Void, delivers whatever is due
+    function flush() {
+        const now = clock.now();
+        while (_queue.length && _queue[0].due <= now) {
+            const { handler, data } = _queue.shift();
+            handler(data);
+        }
+    }
+
+    // ({} -> Void) -> ({} -> Void)
+    function wrap(handler) {
+        return (data) => {
+            if (!isActive() && !_queue.length) return handler(data);
+
+            if (random.next() < _faults.drop) {
+                _stats.dropped++;
+                return;
+            }
+
+            const faulty = freeze(data);
+            const latency = () => _faults.delay + random.next() * _faults.jitter;
+            let after = latency();
+            if (random.next() < _faults.reorder) {
+                _stats.reordered++;
+                after += _faults.reorderBy;
+            }
+
+            enqueue(handler, faulty, after);
+            if (random.next() < _faults.duplicate) {
+                _stats.duplicated++;
+                enqueue(handler, faulty, latency());
+            }
+        };
+    }
+
+    // Void -> Bool, false for a write the trainer should silently ignore
+    function acceptsWrite() {
+        if (_faults.ignoreWrites && random.next() < _faults.ignoreWrites) {
+            _stats.ignored++;
+            return false;
+        }
+        return true;
+    }
+
+    // Trainer service, {power} -> Promise<Bool>, an ignored write still reports success
+    async function setPowerTarget(trainer, args) {
+        if (!acceptsWrite()) return true;
+        return trainer.setPowerTarget(args);
+    }
+
+    if (args.faults) configure(args.faults);
+
+    return Object.freeze({
+        configure,
+        get,
+        isActive,
+        reset,
+        wrap,
+        flush,
+        acceptsWrite,
+        setPowerTarget,
+        get stats() { return { ..._stats }; },
+    });
+}
+
+export { FaultInjector };
@@ -9,6 +9,8 @@ import { Service } from '../service.js';
 import { Characteristic } from '../characteristic.js';
 import { indoorBikeData as indoorBikeDataParser } from './indoor-bike-data.js';
 import { control as controlParser } from './control-point.js';
+import { feature as featureParser } from './fitness-machine-feature.js';
+import { supported as supportedParser } from './supported-ranges.js';
 
 function FTMS(args = {}) {
 
@@ -25,6 +27,13 @@ function FTMS(args = {}) {
     );
     // end config
 
+    // state
+    // {readings: [String], targets: [String]}, Fitness Machine Feature
+    let _feature;
+    // {min: Int, max: Int, inc: Int}, Supported Power Range in W
+    let _powerRange;
+    // end state
+
     // Service
     function onControlResponse(msg) {
         const control = service.characteristics.control;
@@ -34,9 +43,32 @@ function FTMS(args = {}) {
         control.release();
     }
 
+    // UUID, Parser -> Any?
+    // read-only characteristics that are read once on connect, the trainer may
+    // not have them so they stay out of the spec
+    async function readOnce(uuid, parser) {
+        try {
+            const characteristic = Characteristic({
+                characteristic: await gattService.getCharacteristic(uuid),
+            });
+            const dataview = await characteristic.read();
+            return exists(dataview) ? parser.decode(dataview) : undefined;
+        } catch(e) {
+            console.warn(`ble: ftms: no characteristic: ${uuid}`);
+            return undefined;
+        }
+    }
+
     async function protocol() {
         const control = service.characteristics.control;
 
+        _feature = await readOnce(uuids.fitnessMachineFeature, featureParser);
+        _powerRange = await readOnce(uuids.supportedPowerRange, supportedParser.powerRange);
+        console.log(`ble: ftms: feature: `, _feature, `power range: `, _powerRange);
+        if(!supportsPowerTarget()) {
+            console.warn(`ble: ftms: no power target setting in feature, ERG writes are skipped`);
+        }
+
         if(exists(control)) {
             const res = await control.write(
                 controlParser.requestControl.encode()
@@ -94,7 +126,7 @@ function FTMS(args = {}) {
     async function setPowerTarget(args = {}) {
         const control = service.characteristics.control;
 
-        if(!exists(control)) return false;
+        if(!exists(control) || !supportsPowerTarget()) return false;
 
         const res = await control.writeWithRetry(
             controlParser.powerTarget.encode(args),
@@ -115,6 +147,21 @@ function FTMS(args = {}) {
         );
         return res;
     }
+
+    // Void -> {readings: [String], targets: [String]}?
+    function getFeature() {
+        return _feature;
+    }
+
+    // Void -> {min: Int, max: Int, inc: Int}?
+    function getPowerRange() {
+        return _powerRange;
+    }
+
+    // Void -> Bool, a trainer without a readable feature gets the benefit of the doubt
+    function supportsPowerTarget() {
+        return !exists(_feature) || _feature.targets.includes('Power');
+    }
     // end methods
 
     // expose public methods and properties
@@ -125,6 +172,9 @@ function FTMS(args = {}) {
         setSimulation,
         setPowerTarget,
         setResistanceTarget,
+        getFeature,
+        getPowerRange,
+        supportsPowerTarget,
     });
 }
 
@@ -1,108 +1,71 @@
-
 // Mock Devices for Simulation
-// Simulates a ThinkRider X2 and Garmin HRM-Pro+
-// includes a basic physiological model for HR response to power.
+// Simulates a ThinkRider X2, Garmin HRM-Pro+, a Moxy SmO2 sensor and a CORE sensor
+// The physiological model lives in ../sim/physio-model.js so it can also run headless,
+// the rider it simulates is one of ../sim/athletes.js (args.physiology, setPhysiology()).
+// playScenario() runs a scenario's disturbances (../sim/disturbances.js) from the ride start.
+
+import { PhysioModel } from '../sim/physio-model.js';
+import { effectsAt } from '../sim/disturbances.js';
 
 export default function MockConnectable(args = {}) {
     const onData = args.onData || (d => console.log('data', d));
     const onStatus = args.onStatus || (s => console.log('status', s));
 
+    let model = args.model || PhysioModel(args.physiology);
+
     // Simulation State
     let state = {
         simulating: false,
         trainerConnected: false,
         hrConnected: false,
-        targetPower: 100,
-        currentPower: 0,
-        currentCadence: 0,
-        currentHR: 65, // Resting HR
-        currentDemand: 65,
-        fatigue: 0,
-        simStartTime: 0,
+        smo2Connected: false,
+        coreTempConnected: false,
         speedMultiplier: 1
     };
 
     // Physics Engine Interval
     let loopId = null;
 
+    // Scenario being played, simulated seconds since it started
+    let scenario = null;
+    let scenarioTime = 0;
+
     function physicsLoop() {
         if (!state.simulating) return;
 
         // Effective dt (10Hz loop = 0.1s base)
         const dt = 0.1 * state.speedMultiplier;
-
-        // 1. Simulate Trainer Response (ERG Mode Lag)
-        // ThinkRider X2 takes about 2-3 seconds to smooth to target
-        const powerDiff = state.targetPower - state.currentPower;
-        state.currentPower += powerDiff * 0.1; // Smooth approach
-
-        // Simulate Cadence (Random fluctuation around 85-90 if power > 0)
-        if (state.targetPower > 0) {
-            const targetCadence = 88;
-            state.currentCadence += (targetCadence - state.currentCadence) * 0.2 + (Math.random() - 0.5) * 2;
-        } else {
-            state.currentCadence = 0;
-        }
-
-        // 2. Simulate Physiological HR Response (Apple-inspired ODE)
-        // State 1: Demand (Metabolic intensity)
-        // State 2: Heart Rate (Following demand)
-
-        // Configuration
-        const HR_MIN = 65;
-        const HR_MAX = 195;
-        const GAIN = 0.45; // bpm/Watt
-        const TAU_DEMAND = 20.0; // Seconds (Fastest metabolic response)
-        const TAU_HR = 30.0; // Seconds (Cardiac lag)
-        const ALPHA = 0.5; // Lower-bound saturation
-        const BETA = 0.8;  // Upper-bound saturation (Stronger near HR Max)
-
-        // Cardiac Drift: +0.2 bpm every minute (~1 bpm per 5 mins)
-        if (state.simStartTime === 0) state.simStartTime = Date.now();
-        const elapsedMins = (Date.now() - state.simStartTime) / 60000;
-        const drift = state.currentPower > 50 ? (elapsedMins * 0.2) : 0;
-
-        // Current Intensity Target
-        const metabolicPowerTarget = (state.currentPower * GAIN) + HR_MIN + drift;
-
-        // Update Demand State
-        // dD/dt = (Target - D) / Tau
-        const demandDot = (metabolicPowerTarget - (state.currentDemand || state.currentHR)) / TAU_DEMAND;
-        state.currentDemand = (state.currentDemand || state.currentHR) + demandDot * dt;
-
-        // Update HR State with Saturation
-        // S = ((HR - HR_MIN)/60)^alpha * ((HR_MAX - HR)/60)^beta
-        const f_min = Math.pow(Math.abs(state.currentHR - HR_MIN + 0.1) / 60, ALPHA);
-        const f_max = Math.pow(Math.abs(HR_MAX - state.currentHR + 0.1) / 60, BETA);
-
-        // hr_dot = A * f_min * f_max * (Demand - HR)
-        // A is a scaling factor to keep kinetics realistic (~0.5)
-        const A = 0.5;
-        let hrDot = A * f_min * f_max * (state.currentDemand - state.currentHR);
-
-        // Clamping/Safety logic at boundaries
-        if (state.currentHR >= HR_MAX && hrDot > 0) hrDot = HR_MAX - state.currentHR;
-        if (state.currentHR <= HR_MIN && hrDot < 0) hrDot = HR_MIN - state.currentHR;
-
-        state.currentHR += hrDot * dt;
-
-        // Add Noise (Heart Rate Variability-ish)
-        const noise = (Math.random() - 0.5) * 0.4;
+        const effects = scenario ? effectsAt(scenario.disturbances, scenarioTime += dt) : {};
+        model.disturb(effects);
+        const sample = model.step(dt);
 
         // Emit Data
         const output = {};
 
         if (state.trainerConnected) {
-            output.power = Math.round(state.currentPower);
-            output.cadence = Math.round(state.currentCadence);
+            output.power = sample.power;
+            output.cadence = sample.cadence;
+        }
+
+        if (state.hrConnected && !effects.hrDropout) {
+            output.heartRate = sample.heartRate;
+            if (sample.rrInterval) output.rrInterval = sample.rrInterval;
+        }
+
+        // Same fields as the Moxy SensorData decoder
+        if (state.smo2Connected) {
+            output.currentSaturatedHemoglobin = sample.smo2;
+            output.totalHemoglobinSaturation = sample.thb;
         }
 
-        if (state.hrConnected) {
-            output.heartRate = Math.round(state.currentHR + noise);
+        // Same fields as the Core Body Temperature decoder
+        if (state.coreTempConnected) {
+            output.coreBodyTemperature = sample.coreTemp;
+            output.skinTemperature = sample.skinTemp;
         }
 
         // Only emit if we have data and connections
-        if (state.trainerConnected || state.hrConnected) {
+        if (state.trainerConnected || state.hrConnected || state.smo2Connected || state.coreTempConnected) {
             onData(output);
         }
     }
@@ -116,7 +79,7 @@ export default function MockConnectable(args = {}) {
     }
 
     function stopLoop() {
-        if (loopId && !state.trainerConnected && !state.hrConnected) {
+        if (loopId && !state.trainerConnected && !state.hrConnected && !state.smo2Connected && !state.coreTempConnected) {
             clearInterval(loopId);
             loopId = null;
             state.simulating = false;
@@ -146,6 +109,28 @@ export default function MockConnectable(args = {}) {
         });
     }
 
+    async function connectSmo2() {
+        return new Promise(resolve => {
+            setTimeout(() => {
+                state.smo2Connected = true;
+                onStatus("Mock SmO2 Connected");
+                startLoop();
+                resolve(true);
+            }, 800);
+        });
+    }
+
+    async function connectCoreTemp() {
+        return new Promise(resolve => {
+            setTimeout(() => {
+                state.coreTempConnected = true;
+                onStatus("Mock CORE Connected");
+                startLoop();
+                resolve(true);
+            }, 800);
+        });
+    }
+
     async function disconnect(type) {
         if (type === 'trainer') {
             state.trainerConnected = false;
@@ -153,6 +138,12 @@ export default function MockConnectable(args = {}) {
         } else if (type === 'hr') {
             state.hrConnected = false;
             onStatus("Mock HRM Disconnected");
+        } else if (type === 'smo2') {
+            state.smo2Connected = false;
+            onStatus("Mock SmO2 Disconnected");
+        } else if (type === 'coreTemp') {
+            state.coreTempConnected = false;
+            onStatus("Mock CORE Disconnected");
         }
         stopLoop();
     }
@@ -160,7 +151,22 @@ export default function MockConnectable(args = {}) {
     async function setPower(watts) {
         // In simulation, we just accept it
         console.log(`[Mock] Target Power set to ${watts}W`);
-        state.targetPower = watts;
+        model.setTargetPower(watts);
+    }
+
+    // {} -> Void, PhysioModel config of another rider, who starts again from rest
+    function setPhysiology(physiology = {}) {
+        const targetPower = model.state.targetPower;
+        model = PhysioModel(physiology);
+        model.setTargetPower(targetPower);
+        console.log('[Mock] Physiology', model.config);
+    }
+
+    // Scenario? -> Void, at ride start, undefined stops the disturbances
+    function playScenario(next) {
+        scenario = next ?? null;
+        scenarioTime = 0;
+        if (scenario) console.log(`[Mock] Playing scenario ${scenario.name}`);
     }
 
     function setSpeed(multiplier) {
@@ -180,10 +186,20 @@ export default function MockConnectable(args = {}) {
     return {
         connectTrainer,
         connectHR,
+        connectSmo2,
+        connectCoreTemp,
         disconnect,
         setPower,
+        setPhysiology,
+        playScenario,
         setSpeed,
         destroy, // EXPOSED
-        services: { trainer: true, hr: true } // Fake services
+        // Fake services, the trainer takes the same writes as FTMS
+        services: {
+            trainer: { setPowerTarget: async ({ power }) => (await setPower(power), true) },
+            hr: true,
+            smo2: true,
+            coreTemp: true,
+        },
     };
 }
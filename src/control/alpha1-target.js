@@ -0,0 +1,88 @@
+//
+// Alpha1 Target
+// Outer loop for the "hold VT1" mode: moves the target HR so DFA alpha1 sits at a setpoint
+//
+// The HR controller underneath is unchanged, it just gets a target HR that this
+// loop nudges every `interval` s: alpha1 above the setpoint means the ride is
+// easier than VT1 and the target goes up, below it the target comes down. As
+// cardiac drift sets in the same alpha1 needs a higher HR, so the target follows
+// it upwards instead of taking power away.
+//
+// Alpha1 comes from a 2 min window, so the loop is slow on purpose, and it holds
+// the target while the window is too short or too heavily corrected to trust.
+//
+
+import { systemClock } from './clock.js';
+
+const defaults = {
+    setpoint: 0.75,    // DFA alpha1, VT1
+    interval: 30,      // s between target moves
+    gain: 20,          // bpm per unit of alpha1 error
+    deadband: 0.03,    // alpha1
+    maxStep: 2,        // bpm per move
+    maxArtifacts: 5,   // % of corrected beats in the window
+    minHR: 80,
+    maxHR: 180,
+};
+
+function Alpha1Target(args = {}) {
+    const config = { ...defaults, ...args };
+    const clock = config.clock ?? systemClock;
+
+    let _setpoint = config.setpoint;
+    let _maxHR = config.maxHR;
+    let _lastAt;
+    let _held;
+
+    // Void -> Void, ride start: the first move waits a full interval
+    function reset() {
+        _lastAt = clock.now();
+        _held = undefined;
+    }
+
+    // Number -> Number
+    function setSetpoint(value) {
+        _setpoint = Math.max(0.5, Math.min(1.0, Math.round(value * 100) / 100));
+        return _setpoint;
+    }
+
+    // Int (bpm) -> Void, e.g. below the safety supervisor's HR ceiling
+    function setMaxHR(bpm) {
+        _maxHR = Math.min(config.maxHR, bpm);
+    }
+
+    // {alpha1?, artifacts}, Int (bpm) -> Int (bpm)
+    function update(hrv = {}, targetHR) {
+        const now = clock.now();
+        if (_lastAt === undefined) _lastAt = now;
+        if ((now - _lastAt) / 1000 < config.interval) return targetHR;
+        _lastAt = now;
+
+        if (hrv.alpha1 === undefined) {
+            _held = 'waiting for beats';
+            return targetHR;
+        }
+        if (hrv.artifacts > config.maxArtifacts) {
+            _held = 'too many artifacts';
+            return targetHR;
+        }
+        _held = undefined;
+
+        const error = hrv.alpha1 - _setpoint;
+        if (Math.abs(error) <= config.deadband) return targetHR;
+
+        const step = Math.max(-config.maxStep, Math.min(config.maxStep, Math.round(config.gain * error)));
+        return Math.max(config.minHR, Math.min(_maxHR, targetHR + step));
+    }
+
+    return Object.freeze({
+        update,
+        reset,
+        setSetpoint,
+        setMaxHR,
+        get setpoint() { return _setpoint; },
+        get held() { return _held; },
+    });
+}
+
+export { Alpha1Target };
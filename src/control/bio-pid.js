@@ -1,6 +1,8 @@
+import { systemClock } from './clock.js';
 
 export class BioPIDController {
-    constructor({ target, outputMin, outputMax }) {
+    constructor({ target, outputMin, outputMax, clock = systemClock }) {
+        this.clock = clock;
         this.outputMin = outputMin;
         this.outputMax = outputMax;
 
@@ -33,7 +35,7 @@ export class BioPIDController {
     }
 
     update(targetHR, currentHR, currentPower) {
-        const now = Date.now();
+        const now = this.clock.now();
 
         // 1. Always collect data (Rolling buffer)
         this.hrBuffer.push(currentHR);
@@ -0,0 +1,38 @@
+//
+// Clocks
+// Time sources injected into controllers as `config.clock` ({ now() -> ms })
+//
+// Controllers never read Date.now() directly: the app hands them a ride clock
+// that runs at the simulation speed, headless runs hand them a virtual clock.
+//
+
+// Wall clock, the default when nothing is injected
+const systemClock = Object.freeze({
+    now: () => Date.now(),
+});
+
+// Wall clock scaled by the simulation speed (1x, 2x, 4x, 8x)
+function ScaledClock(args = {}) {
+    let _speed = args.speed ?? 1;
+    let _wallStart = Date.now();
+    let _base = _wallStart;
+
+    function now() {
+        return _base + (Date.now() - _wallStart) * _speed;
+    }
+
+    // Number -> Void, rebases so time stays continuous across speed changes
+    function setSpeed(speed) {
+        _base = now();
+        _wallStart = Date.now();
+        _speed = speed;
+    }
+
+    return Object.freeze({
+        now,
+        setSpeed,
+        get speed() { return _speed; },
+    });
+}
+
+export { systemClock, ScaledClock };
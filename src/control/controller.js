@@ -0,0 +1,167 @@
+/**
+ * Controller Interface
+ *
+ * Every controller in the registry (./controllers.js) extends this class.
+ * The app and the headless tools only use these methods:
+ *
+ *   update(targetHR, currentHR, currentPower) -> watts   every control tick
+ *   reset()                                               ride start / switch
+ *   calibrate(hr, power, line?)                           steady-state anchor or fitted line
+ *   setCoreTemperature(celsius)                           core sensor reading, if any
+ *   setOutputLimits({min, max})                           trainer's supported power range
+ *   getDiagnostics() -> {}                                recorded at 1 Hz
+ *   predictTrajectory(power, secs) -> [{t, hr}]           model's HR path, [] if none
+ *   serialize() -> {} / restore({})                       tunables + learned model
+ *   handover() -> {hr, model}                             what a successor can take over
+ *   warmStart({power, hr, model})                         take over a running ride
+ *
+ * Metadata lives on the class as `static info`:
+ *   { name, version, tagline, description, tunables: [{key, label, unit, min, max, step}] }
+ * where `key` is a dotted path into the instance ('Kp', 'params.gain').
+ */
+
+// Physiological model shared by the Bio-MPC family
+export const physiologyTunables = [
+    { key: 'params.gain', label: 'Gain', unit: 'bpm/W', min: 0.1, max: 1.0, step: 0.01 },
+    { key: 'params.tauDemand', label: 'Demand tau', unit: 's', min: 5, max: 60, step: 1 },
+    { key: 'params.tauHRRise', label: 'HR rise tau', unit: 's', min: 10, max: 90, step: 1 },
+    { key: 'params.tauHRFall', label: 'HR fall tau', unit: 's', min: 10, max: 120, step: 1 },
+];
+
+// Object, 'a.b' -> [owner, 'b']
+function resolve(target, path) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const owner = keys.reduce((o, k) => o?.[k], target);
+    return [owner, last];
+}
+
+export class Controller {
+    static info = {
+        name: 'Controller',
+        version: '0',
+        tagline: '',
+        description: '',
+        tunables: [],
+    };
+
+    update(targetHR, currentHR, currentPower) {
+        throw new Error(`${this.constructor.name} does not implement update()`);
+    }
+
+    reset() {}
+
+    /**
+     * Fixed calibration from a measured steady-state point (hr @ power).
+     * Re-anchors the gain so the model passes through it: hr = hrMin + gain * power.
+     * A fitted line {gain, intercept} (guided calibration) is taken as is: the
+     * intercept is the model's HR at 0 W, so it replaces hrMin.
+     * Controllers without a steady-state model (no params.gain) have nothing to anchor.
+     */
+    calibrate(hr, power, { gain, intercept } = {}) {
+        if (!this.params || !('gain' in this.params)) return;
+        if (!(power > 0)) return;
+
+        const fitted = gain > 0 && intercept > 0 && intercept < hr;
+        if (fitted) {
+            this.params.hrMin = intercept;
+            this.demandObserver?.updateParams({ hrMin: intercept });
+            this.params.gain = gain;
+        } else {
+            if (!(hr > this.params.hrMin)) return;
+            this.params.gain = (hr - this.params.hrMin) / power;
+        }
+        if (this.rls && 'theta' in this.rls) this.rls.theta = this.params.gain;
+
+        const { name, version } = this.constructor.info;
+        const line = fitted ? `HR = ${intercept.toFixed(0)} + gain * W` : `${hr} bpm @ ${power} W`;
+        console.log(`[${name} V${version}] Calibrated: ${line} -> gain ${this.params.gain.toFixed(3)} bpm/W`);
+    }
+
+    // Only the heat-aware controllers (V10) use core temperature
+    setCoreTemperature(celsius) {}
+
+    // {min, max} (W) -> Void, replaces the registry's outputMin / outputMax
+    setOutputLimits({ min, max } = {}) {
+        if ('outputMin' in this && Number.isFinite(min)) this.outputMin = min;
+        if ('outputMax' in this && Number.isFinite(max)) this.outputMax = max;
+    }
+
+    getDiagnostics() {
+        return {};
+    }
+
+    // Only model-based controllers can say where HR is heading
+    predictTrajectory(power, horizonSecs) {
+        return [];
+    }
+
+    /**
+     * Bumpless transfer, outgoing side: the filtered HR (controllers that
+     * filter override this) and the model learned so far.
+     */
+    handover() {
+        if (!this.params?.gain) return {};
+        return {
+            model: {
+                gain: this.rls?.theta ?? this.params.gain,
+                tauRise: this.rls?.tauRise ?? this.params.tauHRRise,
+                tauFall: this.rls?.tauFall ?? this.params.tauHRFall,
+            },
+        };
+    }
+
+    /**
+     * Bumpless transfer, incoming side: start from the power the trainer is
+     * already holding instead of the fixed/initial start. Subclasses call
+     * super and then seed their own state from `power` and `hr`.
+     */
+    warmStart({ power, hr, model } = {}) {
+        this.reset();
+        if (model) this.adoptModel(model);
+    }
+
+    // {gain, tauRise?, tauFall?} -> Void, into the learned (RLS) model only:
+    // params are calibrated / tuned values and come back on the next reset()
+    adoptModel({ gain, tauRise, tauFall }) {
+        const set = (owner, key, value) => {
+            if (owner && key in owner && Number.isFinite(value)) owner[key] = value;
+        };
+        set(this.rls, 'theta', gain);
+        set(this.rls, 'tauRise', tauRise);
+        set(this.rls, 'tauFall', tauFall);
+    }
+
+    // String -> Number?
+    getTunable(key) {
+        const [owner, name] = resolve(this, key);
+        return owner?.[name];
+    }
+
+    // String, Number -> Void
+    setTunable(key, value) {
+        const [owner, name] = resolve(this, key);
+        if (owner && name in owner) owner[name] = value;
+    }
+
+    /**
+     * Snapshot of the tunables and, for the adaptive controllers, the RLS
+     * estimates, as plain JSON.
+     */
+    serialize() {
+        const { version, tunables } = this.constructor.info;
+        const snapshot = {
+            version,
+            tunables: Object.fromEntries(tunables.map(t => [t.key, this.getTunable(t.key)])),
+        };
+        if (this.rls) snapshot.rls = { ...this.rls };
+        return snapshot;
+    }
+
+    restore(snapshot = {}) {
+        Object.entries(snapshot.tunables ?? {}).forEach(([key, value]) => {
+            if (Number.isFinite(value)) this.setTunable(key, value);
+        });
+        if (this.rls && snapshot.rls) Object.assign(this.rls, snapshot.rls);
+    }
+}
@@ -0,0 +1,71 @@
+// Controller registry shared by the app and the headless tools.
+// Adding a controller: a class extending Controller (./controller.js) with its
+// `static info`, and one line in controllerClasses. The algoSelector options,
+// the bench and the diagnostics are all generated from here.
+
+import { PIDStandardV1 } from './pid-standard-v1.js';
+import { LinearProjectionV2 } from './linear-projection-v2.js';
+import { MPCDeterministicV3 } from './mpc-deterministic-v3.js';
+import { MPCKalmanV4 } from './mpc-kalman-v4.js';
+import { MPCStochasticV5 } from './mpc-stochastic-v5.js';
+import { MPCAdaptiveV6 } from './mpc-adaptive-v6.js';
+import { MPCAsymmetricV7_5 } from './mpc-asymmetric-v7-5.js';
+import { MPCAsymmetricV7_6 } from './mpc-asymmetric-v7-6.js';
+import { MPCv8 } from './mpc-v8.js';
+import { MPCv9 } from './mpc-v9.js';
+import { MPCv10 } from './mpc-v10.js';
+import { MPCv10_1 } from './mpc-v10-1.js';
+
+const controllerClasses = {
+    pidV1: PIDStandardV1,
+    projectionV2: LinearProjectionV2,
+    mpcV3: MPCDeterministicV3,
+    mpcV4: MPCKalmanV4,
+    mpcV5: MPCStochasticV5,
+    mpcV6: MPCAdaptiveV6,
+    mpcV7: MPCAsymmetricV7_5,
+    mpcV7_6: MPCAsymmetricV7_6,
+    mpcV8: MPCv8,
+    mpcV9: MPCv9,
+    mpcV10: MPCv10,
+    mpcV10_1: MPCv10_1,
+};
+
+const defaultControllerId = 'mpcV7_6';
+
+// [{id, label, name, version, tagline, description, tunables}], in selector order
+const registry = Object.freeze(Object.entries(controllerClasses).map(([id, Controller]) => {
+    const { name, version, tagline, description, tunables } = Controller.info;
+    return Object.freeze({
+        id,
+        label: `${name} V${version}${tagline ? ` (${tagline})` : ''}`,
+        name,
+        version,
+        tagline,
+        description,
+        tunables,
+    });
+}));
+
+// String -> {}?
+function controllerInfo(id) {
+    return registry.find(entry => entry.id === id);
+}
+
+const defaults = { outputMin: 50, outputMax: 400 };
+
+// String, {outputMin, outputMax, clock} -> Controller
+function createController(name, config = {}) {
+    const Controller = controllerClasses[name];
+    if (!Controller) throw new Error(`Unknown controller '${name}'`);
+    return new Controller({ ...defaults, ...config });
+}
+
+// {} -> {name: Controller}
+function createControllers(config = {}) {
+    return Object.fromEntries(
+        Object.keys(controllerClasses).map(name => [name, createController(name, config)])
+    );
+}
+
+export { controllerClasses, registry, defaultControllerId, controllerInfo, createController, createControllers };
@@ -1,6 +1,23 @@
-
-export class LinearProjectionV2 {
-    constructor({ outputMin, outputMax }) {
+import { systemClock } from './clock.js';
+import { Controller } from './controller.js';
+
+export class LinearProjectionV2 extends Controller {
+    static info = {
+        name: 'Linear Projection',
+        version: '2',
+        tagline: 'Predictive',
+        description: 'Projects the last 10 s HR slope 15 s ahead and brakes before the target is crossed.',
+        tunables: [
+            { key: 'LOOKAHEAD_TIME', label: 'Lookahead', unit: 's', min: 5, max: 60, step: 1 },
+            { key: 'COOLDOWN_PERIOD', label: 'Patience', unit: 's', min: 5, max: 60, step: 1 },
+            { key: 'DROP_FAST', label: 'Fast drop', unit: 'W/s', min: 0.5, max: 5, step: 0.1 },
+            { key: 'DROP_SLOW', label: 'Slow drop', unit: 'W/s', min: 0.1, max: 2, step: 0.1 },
+        ],
+    };
+
+    constructor({ outputMin, outputMax, clock = systemClock }) {
+        super();
+        this.clock = clock;
         this.outputMin = outputMin || 50;
         this.outputMax = outputMax || 400;
 
@@ -38,6 +55,16 @@ export class LinearProjectionV2 {
         console.log(`[ProjectedController] Manual Calibration ignored.`);
     }
 
+    warmStart({ power, hr, model } = {}) {
+        super.warmStart({ power, hr, model });
+        const now = this.clock.now();
+        this.isInitialized = true;
+        this.lastUpdateTime = now;
+        this.startTime = now;
+        this.lastIncreaseTime = now - (this.COOLDOWN_PERIOD * 1000);
+        this.lastOutputPower = power;
+    }
+
     // --- MATH HELPERS ---
 
     _calculateSlope() {
@@ -69,7 +96,7 @@ export class LinearProjectionV2 {
     }
 
     update(targetHR, currentHR, currentPower) {
-        const now = Date.now();
+        const now = this.clock.now();
 
         // 1. Initialization
         if (!this.isInitialized) {
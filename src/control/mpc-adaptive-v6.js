@@ -1,3 +1,6 @@
+import { systemRandom } from './random.js';
+import { Controller, physiologyTunables } from './controller.js';
+
 /**
  * Bio-MPC Controller V6 (Adaptive Oracle)
  * 
@@ -9,8 +12,22 @@
  * 5. Ornstein-Uhlenbeck Noise for realistic simulation.
  */
 
-export class MPCAdaptiveV6 {
+export class MPCAdaptiveV6 extends Controller {
+    static info = {
+        name: 'MPC Adaptive',
+        version: '6',
+        tagline: 'Smart',
+        description: 'RLS gain identification with a Smith predictor for the sensor delay.',
+        tunables: [
+            ...physiologyTunables,
+            { key: 'params.delay', label: 'Delay', unit: 'steps', min: 0, max: 10, step: 1 },
+        ],
+    };
+
     constructor(config = {}) {
+        super();
+        this.random = config.random ?? systemRandom;
+
         this.outputMin = config.outputMin || 50;
         this.outputMax = config.outputMax || 400;
 
@@ -64,6 +81,13 @@ export class MPCAdaptiveV6 {
         console.log("[Bio-MPC V6] Reset.");
     }
 
+    warmStart({ power, hr, model } = {}) {
+        super.warmStart({ power, hr, model });
+        this.state.currentDemand = hr;
+        this.state.lastPower = power;
+        this.state.initialized = true;
+    }
+
     resetRLS() {
         this.rls.P = 1000;
         this.rls.theta = this.params.gain;
@@ -75,7 +99,7 @@ export class MPCAdaptiveV6 {
      * Ornstein-Uhlenbeck Process Step
      */
     nextNoise(dt) {
-        const dW = (Math.random() - 0.5) * 2 * Math.sqrt(dt);
+        const dW = (this.random.next() - 0.5) * 2 * Math.sqrt(dt);
         const dx = this.noise.theta * (0 - this.noise.value) * dt + this.noise.sigma * dW;
         this.noise.value += dx;
         return this.noise.value;
@@ -1,3 +1,6 @@
+import { systemRandom } from './random.js';
+import { Controller, physiologyTunables } from './controller.js';
+
 /**
  * Bio-MPC Controller V7.5 (Adaptive Flux - Stable)
  * 
@@ -8,8 +11,22 @@
  * 3. Relaxed Overshoot Penalty.
  */
 
-export class MPCAsymmetricV7_5 {
+export class MPCAsymmetricV7_5 extends Controller {
+    static info = {
+        name: 'MPC Asymmetric',
+        version: '7.5',
+        tagline: 'Cognitive',
+        description: 'V6 with separate learning of the rise and fall time constants.',
+        tunables: [
+            ...physiologyTunables,
+            { key: 'params.delay', label: 'Delay', unit: 'steps', min: 0, max: 10, step: 1 },
+        ],
+    };
+
     constructor(config = {}) {
+        super();
+        this.random = config.random ?? systemRandom;
+
         this.outputMin = config.outputMin || 50;
         this.outputMax = config.outputMax || 400;
 
@@ -61,6 +78,13 @@ export class MPCAsymmetricV7_5 {
         console.log("[Bio-MPC V7.5] Reset.");
     }
 
+    warmStart({ power, hr, model } = {}) {
+        super.warmStart({ power, hr, model });
+        this.state.currentDemand = hr;
+        this.state.lastPower = power;
+        this.state.initialized = true;
+    }
+
     resetRLS() {
         this.rls.theta = this.params.gain;
         this.rls.tauRise = this.params.tauHRRise;
@@ -70,7 +94,7 @@ export class MPCAsymmetricV7_5 {
     }
 
     nextNoise(dt) {
-        const dW = (Math.random() - 0.5) * 2 * Math.sqrt(dt);
+        const dW = (this.random.next() - 0.5) * 2 * Math.sqrt(dt);
         const dx = this.noise.theta * (0 - this.noise.value) * dt + this.noise.sigma * dW;
         this.noise.value += dx;
         return this.noise.value;
@@ -1,3 +1,7 @@
+import { systemClock } from './clock.js';
+import { systemRandom } from './random.js';
+import { Controller, physiologyTunables } from './controller.js';
+
 /**
  * Bio-MPC Controller V7.6 (Precision Tuned - Clean Rebuild)
  * 
@@ -15,8 +19,23 @@
  * - Excessive penalty tuning (destabilized cost function)
  */
 
-export class MPCAsymmetricV7_6 {
+export class MPCAsymmetricV7_6 extends Controller {
+    static info = {
+        name: 'Bio-MPC',
+        version: '7.6',
+        tagline: 'Precision Tuned',
+        description: 'Asymmetric deadband around the target, robust default for steady rides.',
+        tunables: [
+            ...physiologyTunables,
+            { key: 'params.delay', label: 'Delay', unit: 'steps', min: 0, max: 10, step: 1 },
+        ],
+    };
+
     constructor(config = {}) {
+        super();
+        this.clock = config.clock ?? systemClock;
+        this.random = config.random ?? systemRandom;
+
         this.outputMin = config.outputMin || 50;
         this.outputMax = config.outputMax || 400;
 
@@ -43,7 +62,7 @@ export class MPCAsymmetricV7_6 {
             modelOutput: [],
             hr: [],
             bufferSize: 20,
-            startTime: Date.now()
+            startTime: this.clock.now()
         };
 
         this.state = {
@@ -66,10 +85,18 @@ export class MPCAsymmetricV7_6 {
     reset() {
         this.state.initialized = false;
         this.resetRLS();
-        this.history.startTime = Date.now();
+        this.history.startTime = this.clock.now();
         console.log("[Bio-MPC V7.6] Reset.");
     }
 
+    warmStart({ power, hr, model } = {}) {
+        super.warmStart({ power, hr, model });
+        this.state.currentDemand = hr;
+        this.state.lastPower = power;
+        this.state.initialized = true;
+        this.history.startTime = this.clock.now();
+    }
+
     resetRLS() {
         this.rls.theta = this.params.gain;
         this.rls.tauRise = this.params.tauHRRise;
@@ -79,7 +106,7 @@ export class MPCAsymmetricV7_6 {
     }
 
     nextNoise(dt) {
-        const dW = (Math.random() - 0.5) * 2 * Math.sqrt(dt);
+        const dW = (this.random.next() - 0.5) * 2 * Math.sqrt(dt);
         const dx = this.noise.theta * (0 - this.noise.value) * dt + this.noise.sigma * dW;
         this.noise.value += dx;
         return this.noise.value;
@@ -126,7 +153,7 @@ export class MPCAsymmetricV7_6 {
         const effectiveErr = Math.max(-5, Math.min(5, error));
 
         // [V7.6] Warmup Boost: Faster learning in first 10 mins
-        const elapsedMins = (Date.now() - this.history.startTime) / 60000;
+        const elapsedMins = (this.clock.now() - this.history.startTime) / 60000;
         let learnBoost = 1.0;
         if (elapsedMins < 5) learnBoost = 5.0;
         else if (elapsedMins < 10) learnBoost = 2.0;
@@ -220,7 +247,7 @@ export class MPCAsymmetricV7_6 {
             this.state.currentDemand = currentHR;
             this.state.lastPower = currentPower;
             this.state.initialized = true;
-            this.history.startTime = Date.now();
+            this.history.startTime = this.clock.now();
             return currentPower;
         }
 
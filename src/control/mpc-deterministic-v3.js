@@ -1,3 +1,5 @@
+import { Controller } from './controller.js';
+
 /**
  * Bio-MPC Controller (V3)
  * Inspired by Apple's Physiological ODE Research
@@ -8,8 +10,21 @@
  * 3. Adaptation: Adjusts internal model parameters (Gain/Tau) based on real-world error.
  */
 
-export class MPCDeterministicV3 {
+export class MPCDeterministicV3 extends Controller {
+    static info = {
+        name: 'MPC Deterministic',
+        version: '3',
+        tagline: 'Static',
+        description: 'Second-order HR model, 11 candidate powers simulated over a 45 s horizon.',
+        tunables: [
+            { key: 'params.gain', label: 'Gain', unit: 'bpm/W', min: 0.1, max: 1.0, step: 0.01 },
+            { key: 'params.tauDemand', label: 'Demand tau', unit: 's', min: 5, max: 60, step: 1 },
+            { key: 'params.tauHR', label: 'HR tau', unit: 's', min: 10, max: 90, step: 1 },
+        ],
+    };
+
     constructor(config = {}) {
+        super();
         this.outputMin = config.outputMin || 50;
         this.outputMax = config.outputMax || 400;
 
@@ -39,6 +54,14 @@ export class MPCDeterministicV3 {
         console.log("[BioMPC] Controller Reset.");
     }
 
+    warmStart({ power, hr, model } = {}) {
+        super.warmStart({ power, hr, model });
+        this.state.currentDemand = hr;
+        this.state.modeledHR = hr;
+        this.state.lastPower = power;
+        this.initialized = true;
+    }
+
     /**
      * Internal Simulator: Predicts HR after 'delta_t' seconds given a constant power
      */
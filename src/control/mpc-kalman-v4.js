@@ -1,3 +1,5 @@
+import { Controller, physiologyTunables } from './controller.js';
+
 /**
  * Bio-MPC Controller V4 (The Mastermind)
  * 
@@ -8,8 +10,17 @@
  * 4. Jerk Penalty: Extreme stability.
  */
 
-export class MPCKalmanV4 {
+export class MPCKalmanV4 extends Controller {
+    static info = {
+        name: 'MPC Kalman',
+        version: '4',
+        tagline: 'Filtered',
+        description: 'Asymmetric rise/fall kinetics and a Kalman estimate of metabolic demand.',
+        tunables: physiologyTunables,
+    };
+
     constructor(config = {}) {
+        super();
         this.outputMin = config.outputMin || 50;
         this.outputMax = config.outputMax || 400;
 
@@ -44,6 +55,13 @@ export class MPCKalmanV4 {
         console.log("[Bio-MPC V4] Reset.");
     }
 
+    warmStart({ power, hr, model } = {}) {
+        super.warmStart({ power, hr, model });
+        this.kf.x = [hr, hr];
+        this.state.lastPower = power;
+        this.state.initialized = true;
+    }
+
     /**
      * Internal Prediction with Asymmetric Kinetics
      */
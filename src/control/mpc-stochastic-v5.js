@@ -1,3 +1,6 @@
+import { systemRandom } from './random.js';
+import { Controller, physiologyTunables } from './controller.js';
+
 /**
  * Bio-MPC Controller V5 (Stochastic Oracle)
  * 
@@ -7,8 +10,19 @@
  * 3. Chooses power that is safe across the majority of futures (95th percentile safety).
  */
 
-export class MPCStochasticV5 {
+export class MPCStochasticV5 extends Controller {
+    static info = {
+        name: 'MPC Stochastic',
+        version: '5',
+        tagline: 'Robust',
+        description: 'Monte Carlo over 20 jittered models, picks the power that is safe at p95.',
+        tunables: physiologyTunables,
+    };
+
     constructor(config = {}) {
+        super();
+        this.random = config.random ?? systemRandom;
+
         this.outputMin = config.outputMin || 50;
         this.outputMax = config.outputMax || 400;
 
@@ -36,6 +50,13 @@ export class MPCStochasticV5 {
         console.log("[Bio-MPC V5] Reset.");
     }
 
+    warmStart({ power, hr, model } = {}) {
+        super.warmStart({ power, hr, model });
+        this.state.currentDemand = hr;
+        this.state.lastPower = power;
+        this.state.initialized = true;
+    }
+
     /**
      * Internal Prediction with Noise Injection
      */
@@ -45,10 +66,10 @@ export class MPCStochasticV5 {
         const dt = 3.0; // Larger steps for Monte Carlo performance
 
         // Inject Noise into parameters
-        const g = this.params.gain * (1 + (Math.random() - 0.5) * noiseLevel);
-        const td = this.params.tauDemand * (1 + (Math.random() - 0.5) * noiseLevel);
-        const tr = this.params.tauHRRise * (1 + (Math.random() - 0.5) * noiseLevel);
-        const tf = this.params.tauHRFall * (1 + (Math.random() - 0.5) * noiseLevel);
+        const g = this.params.gain * (1 + (this.random.next() - 0.5) * noiseLevel);
+        const td = this.params.tauDemand * (1 + (this.random.next() - 0.5) * noiseLevel);
+        const tr = this.params.tauHRRise * (1 + (this.random.next() - 0.5) * noiseLevel);
+        const tf = this.params.tauHRFall * (1 + (this.random.next() - 0.5) * noiseLevel);
 
         for (let t = 0; t < horizonSecs; t += dt) {
             const target = (power * g) + this.params.hrMin;
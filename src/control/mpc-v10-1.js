@@ -15,6 +15,17 @@ import { MPCv10 } from './mpc-v10.js';
  * minimizing the "learning period" at the start of a session.
  */
 export class MPCv10_1 extends MPCv10 {
+    static info = {
+        ...MPCv10.info,
+        version: '10.1',
+        tagline: 'Personal Tuned',
+        description: 'V10 started from gain/tau/drift fitted offline to your own .fit files.',
+        tunables: [
+            ...MPCv10.info.tunables,
+            { key: 'params.driftRate', label: 'Drift', unit: 'bpm/h', min: 0, max: 10, step: 0.5 },
+        ],
+    };
+
     constructor(config = {}) {
         super(config);
 
@@ -1,3 +1,7 @@
+import { systemClock } from './clock.js';
+import { systemRandom } from './random.js';
+import { Controller, physiologyTunables } from './controller.js';
+
 /**
  * Bio-MPC Controller V10.0 (Bio-Adaptive Supervisory MPC)
  * 
@@ -10,7 +14,7 @@
  * 1. [HIDDEN STATE] DemandObserver: Extended Kalman for metabolic demand estimation
  * 2. [AUTO-TUNE] BioSupervisor: Intent recognition + hyperparameter auto-tuning
  * 3. [MULTI-OBJ] MultiObjectiveBlender: Weighted tracking + safety + comfort
- * 4. [DRIFT] Cardiovascular drift detection
+ * 4. [DRIFT] Cardiovascular drift detection, heat-aware with a core temperature sensor
  * 
  * INHERITED from V9:
  * - Adaptive Kalman Filter
@@ -180,7 +184,10 @@ class DemandObserver {
             gain: params.gain || 0.45,
             tauDemand: params.tauDemand || 20,
             tauRise: params.tauRise || 25,
-            tauFall: params.tauFall || 45
+            tauFall: params.tauFall || 45,
+            hrMin: params.hrMin || 65,
+            hrMax: params.hrMax || 195,
+            heatOffset: 0 // bpm, heat drift explained by core temperature
         };
 
         this.P = [[10, 0, 0], [0, 10, 0], [0, 0, 2]];
@@ -190,7 +197,7 @@ class DemandObserver {
 
     update(measuredHR, power, dt = 2.0) {
         // PREDICT STEP
-        const targetDemand = (power * this.params.gain) + 65;
+        const targetDemand = (power * this.params.gain) + this.params.hrMin + this.params.heatOffset;
         const demandPred = this.state.demand +
             (targetDemand - this.state.demand) / this.params.tauDemand * dt;
 
@@ -218,7 +225,7 @@ class DemandObserver {
         this.P[1][1] = (1 - K) * this.P[1][1];
 
         // Physiological limits
-        this.state.demand = Math.max(65, Math.min(195, this.state.demand));
+        this.state.demand = Math.max(this.params.hrMin, Math.min(this.params.hrMax, this.state.demand));
         this.state.hr = Math.max(60, Math.min(200, this.state.hr));
         this.state.dhdt = Math.max(-5, Math.min(5, this.state.dhdt));
 
@@ -229,16 +236,17 @@ class DemandObserver {
         this.params = { ...this.params, ...newParams };
     }
 
-    predict(power, horizon, useCurrentState = true) {
+    predict(power, horizon, useCurrentState = true, path = undefined) {
         const dt = 2.0;
         let demand = useCurrentState ? this.state.demand : 70;
         let hr = useCurrentState ? this.state.hr : 70;
 
         for (let t = 0; t < horizon; t += dt) {
-            const targetDemand = (power * this.params.gain) + 65;
+            const targetDemand = (power * this.params.gain) + this.params.hrMin + this.params.heatOffset;
             demand += (targetDemand - demand) / this.params.tauDemand * dt;
             const tau = (demand > hr) ? this.params.tauRise : this.params.tauFall;
             hr += (demand - hr) / tau * dt;
+            path?.push({ t: t + dt, hr });
         }
 
         return { demand, hr };
@@ -257,10 +265,15 @@ class DemandObserver {
 // ============================================
 // MODULE 5: BIO-SUPERVISOR (NEW V10)
 // ============================================
+
+// Cardiac drift per degree of core temperature rise (thermoregulatory share of cardiac output)
+const HEAT_DRIFT_PER_DEGREE = 8; // bpm/°C
+
 class BioSupervisor {
-    constructor() {
+    constructor(clock = systemClock) {
+        this.clock = clock;
         this.inferredIntent = 'TRAINING';
-        this.sessionStartTime = Date.now();
+        this.sessionStartTime = this.clock.now();
         this.sessionDuration = 0;
 
         this.recentOvershoots = 0;
@@ -273,11 +286,29 @@ class BioSupervisor {
         this.driftEstimate = 0;
         this.driftOnsetTime = null;
 
+        // Core temperature (°C), baseline is the coolest reading of the session
+        this.coreTemp = { baseline: null, current: null };
+
         this.config = this.getDefaultConfig();
     }
 
+    setCoreTemperature(celsius) {
+        if (!Number.isFinite(celsius)) return;
+        this.coreTemp.current = celsius;
+        this.coreTemp.baseline = this.coreTemp.baseline === null
+            ? celsius
+            : Math.min(this.coreTemp.baseline, celsius);
+    }
+
+    // HR the rise in core temperature accounts for, 0 without a sensor
+    heatDrift() {
+        const { baseline, current } = this.coreTemp;
+        if (current === null) return 0;
+        return Math.max(0, current - baseline) * HEAT_DRIFT_PER_DEGREE;
+    }
+
     inferIntent(targetHR, hrMax, mode, duration) {
-        this.sessionDuration = (Date.now() - this.sessionStartTime) / 60000;
+        this.sessionDuration = (this.clock.now() - this.sessionStartTime) / 60000;
 
         const intensityRatio = targetHR / hrMax;
         const isLongSession = this.sessionDuration > 60;
@@ -375,22 +406,30 @@ class BioSupervisor {
         }
     }
 
+    /**
+     * `predictedHR` comes from a model that already carries heatDrift(), so
+     * driftEstimate is what heat does not explain (fatigue, dehydration, a
+     * real change in fitness). The heat share is reported next to it.
+     */
     detectDrift(observedHR, predictedHR, power) {
         if (Math.abs(power - this.lastPower) < 5) {
             const instantDrift = observedHR - predictedHR;
             this.driftEstimate = 0.95 * this.driftEstimate + 0.05 * instantDrift;
 
             if (Math.abs(this.driftEstimate) > 2.0 && !this.driftOnsetTime) {
-                this.driftOnsetTime = Date.now();
+                this.driftOnsetTime = this.clock.now();
             }
         }
         this.lastPower = power;
 
+        const heatDrift = this.heatDrift();
         return {
             drift: this.driftEstimate,
+            heatDrift,
             isDrifting: Math.abs(this.driftEstimate) > 2.5,
+            isHeatDrift: heatDrift > 2.5,
             driftDuration: this.driftOnsetTime ?
-                (Date.now() - this.driftOnsetTime) / 60000 : 0
+                (this.clock.now() - this.driftOnsetTime) / 60000 : 0
         };
     }
 
@@ -411,13 +450,14 @@ class BioSupervisor {
     }
 
     reset() {
-        this.sessionStartTime = Date.now();
+        this.sessionStartTime = this.clock.now();
         this.recentOvershoots = 0;
         this.recentUndershoots = 0;
         this.oscillationCount = 0;
         this.avgError = 0;
         this.driftEstimate = 0;
         this.driftOnsetTime = null;
+        this.coreTemp = { baseline: null, current: null };
         this.config = this.getDefaultConfig();
     }
 
@@ -426,6 +466,8 @@ class BioSupervisor {
             intent: this.inferredIntent,
             weights: this.config.weights,
             drift: this.driftEstimate.toFixed(2),
+            heatDrift: this.heatDrift().toFixed(2),
+            coreTemp: this.coreTemp.current,
             avgError: this.avgError.toFixed(2),
             overshoots: this.recentOvershoots,
             oscillations: this.oscillationCount
@@ -506,8 +548,20 @@ class MultiObjectiveBlender {
 // ============================================
 // MAIN CLASS: MPCv10
 // ============================================
-export class MPCv10 {
+export class MPCv10 extends Controller {
+    static info = {
+        name: 'Bio-MPC',
+        version: '10.0',
+        tagline: 'Supervisory',
+        description: 'Demand observer and a supervisor that retunes the MPC per intent, with drift detection.',
+        tunables: physiologyTunables,
+    };
+
     constructor(config = {}) {
+        super();
+        this.clock = config.clock ?? systemClock;
+        this.random = config.random ?? systemRandom;
+
         this.outputMin = config.outputMin || 50;
         this.outputMax = config.outputMax || 400;
 
@@ -531,7 +585,7 @@ export class MPCv10 {
             modelOutput: [],
             hr: [],
             power: [],
-            startTime: Date.now()
+            startTime: this.clock.now()
         };
 
         this.state = {
@@ -544,7 +598,7 @@ export class MPCv10 {
         this.noise = { value: 0, theta: 0.15, sigma: 0.1 };
 
         // V10 NEW COMPONENTS
-        this.supervisor = new BioSupervisor();
+        this.supervisor = new BioSupervisor(this.clock);
         this.demandObserver = new DemandObserver(this.params);
         this.blender = new MultiObjectiveBlender();
 
@@ -564,11 +618,53 @@ export class MPCv10 {
         this.kalman.reset();
         this.modeRecognizer.reset();
         this.integral.reset();
-        this.history.startTime = Date.now();
+        this.history.startTime = this.clock.now();
         this.history.power = [];
         console.log('[Bio-MPC V10] Reset');
     }
 
+    warmStart({ power, hr, model } = {}) {
+        super.warmStart({ power, hr, model });
+        this.state.currentDemand = hr;
+        this.state.lastPower = power;
+        this.state.initialized = true;
+        this.history.startTime = this.clock.now();
+        this.kalman.reset(hr);
+        this.demandObserver.state.hr = hr;
+        this.demandObserver.state.demand = hr;
+    }
+
+    // Heat drift goes into the model, so the gain does not learn it as a fitness change
+    setCoreTemperature(celsius) {
+        this.supervisor.setCoreTemperature(celsius);
+    }
+
+    // The demand observer keeps its own copy of the model
+    syncDemandObserver() {
+        this.demandObserver.updateParams({
+            gain: this.rls.theta,
+            tauRise: this.rls.tauRise,
+            tauFall: this.rls.tauFall
+        });
+    }
+
+    restore(snapshot) {
+        super.restore(snapshot);
+        this.syncDemandObserver();
+    }
+
+    adoptModel(model) {
+        super.adoptModel(model);
+        this.syncDemandObserver();
+    }
+
+    handover() {
+        return {
+            ...super.handover(),
+            hr: this.state.initialized ? this.kalman.x : undefined,
+        };
+    }
+
     resetRLS() {
         this.rls.theta = this.params.gain;
         this.rls.tauRise = this.params.tauHRRise;
@@ -578,7 +674,7 @@ export class MPCv10 {
     }
 
     nextNoise(dt) {
-        const dW = (Math.random() - 0.5) * 2 * Math.sqrt(dt);
+        const dW = (this.random.next() - 0.5) * 2 * Math.sqrt(dt);
         const dx = this.noise.theta * (0 - this.noise.value) * dt + this.noise.sigma * dW;
         this.noise.value += dx;
         return this.noise.value;
@@ -594,6 +690,15 @@ export class MPCv10 {
         return prediction;
     }
 
+    // Noise-free demand observer path if `power` is held
+    predictTrajectory(power, horizonSecs = this.supervisor.config.horizon) {
+        // The observer still holds its 70 bpm placeholder before the first update
+        if (!this.state.initialized) return [];
+        const path = [];
+        this.demandObserver.predict(power, horizonSecs, true, path);
+        return path;
+    }
+
     updateAdaptation(currentPower, currentHR) {
         if (currentPower < 10) return;
 
@@ -601,7 +706,7 @@ export class MPCv10 {
         let error = currentHR - delayedModel;
         const effectiveErr = Math.max(-5, Math.min(5, error));
 
-        const elapsedMins = (Date.now() - this.history.startTime) / 60000;
+        const elapsedMins = (this.clock.now() - this.history.startTime) / 60000;
         let learnBoost = 1.0;
         if (elapsedMins < 5) learnBoost = 5.0;
         else if (elapsedMins < 10) learnBoost = 2.0;
@@ -645,14 +750,15 @@ export class MPCv10 {
             this.state.currentDemand = filteredHR;
             this.state.lastPower = currentPower;
             this.state.initialized = true;
-            this.history.startTime = Date.now();
+            this.history.startTime = this.clock.now();
             this.kalman.reset(filteredHR);
             this.demandObserver.state.hr = filteredHR;
             this.demandObserver.state.demand = filteredHR;
             return currentPower;
         }
 
-        // 2. UPDATE DEMAND OBSERVER
+        // 2. UPDATE DEMAND OBSERVER (with the heat drift core temperature explains)
+        this.demandObserver.updateParams({ heatOffset: this.supervisor.heatDrift() });
         const observedState = this.demandObserver.update(filteredHR, currentPower);
 
         // 3. DETECT MODE
@@ -739,6 +845,7 @@ export class MPCv10 {
             );
 
             const grad = (costPlus - costMinus) / (2 * delta);
+            this.state.cost = (costPlus + costMinus) / 2;
 
             velocity = momentum * velocity - lr * grad;
             velocity = Math.max(-maxVel, Math.min(maxVel, velocity));
@@ -791,6 +898,7 @@ export class MPCv10 {
             demand: this.demandObserver.state.demand.toFixed(1),
             dhdt: this.demandObserver.state.dhdt.toFixed(2),
             integral: this.integral.getDiagnostics(),
+            cost: this.state.cost,
             gain: this.rls.theta.toFixed(3),
             tauRise: this.rls.tauRise.toFixed(1),
             tauFall: this.rls.tauFall.toFixed(1)
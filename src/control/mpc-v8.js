@@ -1,3 +1,7 @@
+import { systemClock } from './clock.js';
+import { systemRandom } from './random.js';
+import { Controller, physiologyTunables } from './controller.js';
+
 /**
  * Bio-MPC Controller V8.0 (Zero Error Edition)
  * 
@@ -16,8 +20,23 @@
  * - Asymmetric Penalties (safety bias toward undershoot)
  */
 
-export class MPCv8 {
+export class MPCv8 extends Controller {
+    static info = {
+        name: 'Bio-MPC',
+        version: '8.0',
+        tagline: 'Zero Error',
+        description: 'Kalman-filtered HR plus integral action to remove steady-state error.',
+        tunables: [
+            ...physiologyTunables,
+            { key: 'integral.Ki', label: 'Integral gain', unit: 'W/bpm', min: 0, max: 0.3, step: 0.01 },
+        ],
+    };
+
     constructor(config = {}) {
+        super();
+        this.clock = config.clock ?? systemClock;
+        this.random = config.random ?? systemRandom;
+
         this.outputMin = config.outputMin || 50;
         this.outputMax = config.outputMax || 400;
 
@@ -44,7 +63,7 @@ export class MPCv8 {
             modelOutput: [],
             hr: [],
             bufferSize: 20,
-            startTime: Date.now()
+            startTime: this.clock.now()
         };
 
         this.state = {
@@ -84,10 +103,26 @@ export class MPCv8 {
         this.resetRLS();
         this.resetKalman();
         this.resetIntegral();
-        this.history.startTime = Date.now();
+        this.history.startTime = this.clock.now();
         console.log("[Bio-MPC V8.0] Reset.");
     }
 
+    warmStart({ power, hr, model } = {}) {
+        super.warmStart({ power, hr, model });
+        this.state.currentDemand = hr;
+        this.state.lastPower = power;
+        this.state.initialized = true;
+        this.history.startTime = this.clock.now();
+        this.kalman.x = hr;
+    }
+
+    handover() {
+        return {
+            ...super.handover(),
+            hr: this.state.initialized ? this.kalman.x : undefined,
+        };
+    }
+
     resetRLS() {
         this.rls.theta = this.params.gain;
         this.rls.tauRise = this.params.tauHRRise;
@@ -162,7 +197,7 @@ export class MPCv8 {
     }
 
     nextNoise(dt) {
-        const dW = (Math.random() - 0.5) * 2 * Math.sqrt(dt);
+        const dW = (this.random.next() - 0.5) * 2 * Math.sqrt(dt);
         const dx = this.noise.theta * (0 - this.noise.value) * dt + this.noise.sigma * dW;
         this.noise.value += dx;
         return this.noise.value;
@@ -209,7 +244,7 @@ export class MPCv8 {
         const effectiveErr = Math.max(-5, Math.min(5, error));
 
         // [V7.6] Warmup Boost: Faster learning in first 10 mins
-        const elapsedMins = (Date.now() - this.history.startTime) / 60000;
+        const elapsedMins = (this.clock.now() - this.history.startTime) / 60000;
         let learnBoost = 1.0;
         if (elapsedMins < 5) learnBoost = 5.0;
         else if (elapsedMins < 10) learnBoost = 2.0;
@@ -295,7 +330,7 @@ export class MPCv8 {
             this.state.currentDemand = filteredHR;
             this.state.lastPower = currentPower;
             this.state.initialized = true;
-            this.history.startTime = Date.now();
+            this.history.startTime = this.clock.now();
             this.kalman.x = filteredHR;  // Initialize Kalman state
             return currentPower;
         }
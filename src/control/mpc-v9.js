@@ -1,3 +1,7 @@
+import { systemClock } from './clock.js';
+import { systemRandom } from './random.js';
+import { Controller, physiologyTunables } from './controller.js';
+
 /**
  * Bio-MPC Controller V9.0 (Contextual Intelligence)
  * 
@@ -229,8 +233,20 @@ class SmartIntegral {
 // ============================================
 // MAIN CLASS: MPCv9
 // ============================================
-export class MPCv9 {
+export class MPCv9 extends Controller {
+    static info = {
+        name: 'Bio-MPC',
+        version: '9.0',
+        tagline: 'Contextual',
+        description: 'Adaptive Kalman filter, ramp/steady/recovery mode recognition and a smart integral.',
+        tunables: physiologyTunables,
+    };
+
     constructor(config = {}) {
+        super();
+        this.clock = config.clock ?? systemClock;
+        this.random = config.random ?? systemRandom;
+
         this.outputMin = config.outputMin || 50;
         this.outputMax = config.outputMax || 400;
 
@@ -257,7 +273,7 @@ export class MPCv9 {
             modelOutput: [],
             hr: [],
             power: [],  // NEW: track power for mode detection
-            startTime: Date.now()
+            startTime: this.clock.now()
         };
 
         // Internal state
@@ -289,11 +305,27 @@ export class MPCv9 {
         this.kalman.reset();
         this.modeRecognizer.reset();
         this.integral.reset();
-        this.history.startTime = Date.now();
+        this.history.startTime = this.clock.now();
         this.history.power = [];
         console.log("[Bio-MPC V9] Reset.");
     }
 
+    warmStart({ power, hr, model } = {}) {
+        super.warmStart({ power, hr, model });
+        this.state.currentDemand = hr;
+        this.state.lastPower = power;
+        this.state.initialized = true;
+        this.history.startTime = this.clock.now();
+        this.kalman.reset(hr);
+    }
+
+    handover() {
+        return {
+            ...super.handover(),
+            hr: this.state.initialized ? this.kalman.x : undefined,
+        };
+    }
+
     resetRLS() {
         this.rls.theta = this.params.gain;
         this.rls.tauRise = this.params.tauHRRise;
@@ -303,13 +335,13 @@ export class MPCv9 {
     }
 
     nextNoise(dt) {
-        const dW = (Math.random() - 0.5) * 2 * Math.sqrt(dt);
+        const dW = (this.random.next() - 0.5) * 2 * Math.sqrt(dt);
         const dx = this.noise.theta * (0 - this.noise.value) * dt + this.noise.sigma * dW;
         this.noise.value += dx;
         return this.noise.value;
     }
 
-    predict(startHR, startDemand, power, horizonSecs, useNoise = false) {
+    predict(startHR, startDemand, power, horizonSecs, useNoise = false, path = undefined) {
         let hr = startHR;
         let demand = startDemand;
         const dt = 2.0;
@@ -329,11 +361,23 @@ export class MPCv9 {
 
             const tau = (demand > hr) ? tRise : tFall;
             hr += (demand - hr) / tau * dt;
+            path?.push({ t: t + dt, hr });
         }
 
         return { hr, demand };
     }
 
+    /**
+     * Noise-free HR path if `power` is held, from the current filtered state.
+     */
+    predictTrajectory(power, horizonSecs = 90) {
+        // No filtered HR to start from before the first update
+        if (!this.state.initialized) return [];
+        const path = [];
+        this.predict(this.kalman.x, this.state.currentDemand, power, horizonSecs, false, path);
+        return path;
+    }
+
     updateAdaptation(currentPower, currentHR) {
         if (currentPower < 10) return;
 
@@ -342,7 +386,7 @@ export class MPCv9 {
         const effectiveErr = Math.max(-5, Math.min(5, error));
 
         // Warmup Boost (inherited from V8)
-        const elapsedMins = (Date.now() - this.history.startTime) / 60000;
+        const elapsedMins = (this.clock.now() - this.history.startTime) / 60000;
         let learnBoost = 1.0;
         if (elapsedMins < 5) learnBoost = 5.0;
         else if (elapsedMins < 10) learnBoost = 2.0;
@@ -426,7 +470,7 @@ export class MPCv9 {
             this.state.currentDemand = filteredHR;
             this.state.lastPower = currentPower;
             this.state.initialized = true;
-            this.history.startTime = Date.now();
+            this.history.startTime = this.clock.now();
             this.kalman.reset(filteredHR);
             return currentPower;
         }
@@ -478,6 +522,7 @@ export class MPCv9 {
             const costMinus = this.calculateCost(power - delta, targetHR, filteredHR,
                 this.state.currentDemand, currentPower, modeConfig);
             const grad = (costPlus - costMinus) / (2 * delta);
+            this.state.cost = (costPlus + costMinus) / 2;
 
             velocity = momentum * velocity - lr * grad;
             velocity = Math.max(-maxVel, Math.min(maxVel, velocity));
@@ -521,7 +566,9 @@ export class MPCv9 {
             version: '9.0',
             ...this.kalman.getDiagnostics(),
             ...this.modeRecognizer.getDiagnostics(),
+            demand: this.state.currentDemand,
             integral: this.integral.getDiagnostics(),
+            cost: this.state.cost,
             gain: this.rls.theta,
             tauRise: this.rls.tauRise,
             tauFall: this.rls.tauFall,
@@ -1,6 +1,8 @@
+import { systemClock } from './clock.js';
 
 export class PhysioController {
-    constructor({ outputMin, outputMax }) {
+    constructor({ outputMin, outputMax, clock = systemClock }) {
+        this.clock = clock;
         this.outputMin = outputMin || 50;
         this.outputMax = outputMax || 400;
 
@@ -50,7 +52,7 @@ export class PhysioController {
     }
 
     update(targetHR, currentHR, currentPower) {
-        const now = Date.now();
+        const now = this.clock.now();
 
         // 1. Input Filtering
         this.hrBuffer.push(currentHR);
@@ -1,6 +1,23 @@
-
-export class PIDStandardV1 {
-    constructor({ outputMin, outputMax }) {
+import { systemClock } from './clock.js';
+import { Controller } from './controller.js';
+
+export class PIDStandardV1 extends Controller {
+    static info = {
+        name: 'PID Standard',
+        version: '1',
+        tagline: 'Reactive',
+        description: 'Deadbanded PI with a slew limit. Stable and slow, best for recovery and low Zone 2.',
+        tunables: [
+            { key: 'Kp', label: 'Kp', unit: 'W/bpm', min: 0.05, max: 1.0, step: 0.05 },
+            { key: 'Ki', label: 'Ki', unit: 'W/bpm/s', min: 0, max: 0.5, step: 0.01 },
+            { key: 'MAX_SLEW_RATE', label: 'Max slew', unit: 'W/s', min: 0.2, max: 5, step: 0.1 },
+            { key: 'TARGET_TOLERANCE', label: 'Deadband', unit: 'bpm', min: 0, max: 5, step: 1 },
+        ],
+    };
+
+    constructor({ outputMin, outputMax, clock = systemClock }) {
+        super();
+        this.clock = clock;
         this.outputMin = outputMin || 50;
         this.outputMax = outputMax || 400;
 
@@ -43,6 +60,16 @@ export class PIDStandardV1 {
         console.log(`[PhysioController] Manual Calibration ignored.`);
     }
 
+    warmStart({ power, hr, model } = {}) {
+        super.warmStart({ power, hr, model });
+        this.isInitialized = true;
+        this.initialRestHR = hr;
+        this.lastUpdateTime = this.clock.now();
+        this.lastHR = hr;
+        this.overshootTimer = 0;
+        this.lastOutputPower = power;
+    }
+
     getFilteredHR() {
         if (this.hrBuffer.length === 0) return 0;
         const sum = this.hrBuffer.reduce((a, b) => a + b, 0);
@@ -50,7 +77,7 @@ export class PIDStandardV1 {
     }
 
     update(targetHR, currentHR, currentPower) {
-        const now = Date.now();
+        const now = this.clock.now();
 
         // 1. Input Filtering
         this.hrBuffer.push(currentHR);
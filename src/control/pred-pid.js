@@ -1,3 +1,4 @@
+import { systemClock } from './clock.js';
 
 // Internal Helper Class for the Feedforward Model
 class AdaptiveModel {
@@ -78,7 +79,8 @@ class AdaptiveModel {
 }
 
 export class PredictiveController {
-    constructor({ outputMin, outputMax }) {
+    constructor({ outputMin, outputMax, clock = systemClock }) {
+        this.clock = clock;
         this.outputMin = outputMin;
         this.outputMax = outputMax;
 
@@ -100,7 +102,7 @@ export class PredictiveController {
         this.lastTargetHR = 0;
 
         this.kp = 0.3; // Stored for reference, we use local vars
-        this.startTime = Date.now(); // Track start of session
+        this.startTime = this.clock.now(); // Track start of session
         console.log("PredictiveController: Initialized (Hybrid Model-Based)");
     }
 
@@ -108,7 +110,7 @@ export class PredictiveController {
         this.history = [];
         this.integral = 0;
         this.lastUpdateTime = 0;
-        this.startTime = Date.now();
+        this.startTime = this.clock.now();
         this.model.reset();
         console.log("PredictiveController: Reset");
     }
@@ -119,7 +121,7 @@ export class PredictiveController {
 
     getSlope() {
         // ... (unchanged)
-        const now = Date.now();
+        const now = this.clock.now();
         const recent = this.history.filter(pt => now - pt.time <= 30000);
         if (recent.length < 5) return 0;
         // ...
@@ -136,7 +138,7 @@ export class PredictiveController {
 
 
     update(targetHR, currentHR, currentPower) {
-        const now = Date.now();
+        const now = this.clock.now();
 
         // 0. Feed Model
         this.model.addPoint(currentHR, currentPower);
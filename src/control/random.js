@@ -0,0 +1,48 @@
+//
+// Random
+// Seedable uniform source injected as `config.random` ({ next() -> [0, 1) })
+//
+// Simulator noise and the stochastic controllers draw from this instead of
+// Math.random(), so a run started from the same seed replays exactly.
+//
+
+// Unseeded, the default when nothing is injected
+const systemRandom = Object.freeze({
+    next: () => Math.random(),
+    seed: undefined,
+});
+
+// Void -> Int (uint32)
+function randomSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+// Mulberry32: 32 bit state, fast, good enough for noise and Monte Carlo jitter
+function SeededRandom(seed = randomSeed()) {
+    let _seed = seed >>> 0;
+    let _state = _seed;
+
+    // Void -> Number [0, 1)
+    function next() {
+        _state = (_state + 0x6D2B79F5) >>> 0;
+        let t = _state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+
+    // Int? -> Int, restarts the sequence (a fresh seed when none is given)
+    function reseed(seed = randomSeed()) {
+        _seed = seed >>> 0;
+        _state = _seed;
+        return _seed;
+    }
+
+    return Object.freeze({
+        next,
+        reseed,
+        get seed() { return _seed; },
+    });
+}
+
+export { systemRandom, SeededRandom, randomSeed };
@@ -0,0 +1,223 @@
+//
+// Safety Supervisor
+// Sits between controller.update() and setPowerTarget(), whichever controller is active
+//
+// Checks, in order (the first one that fires is the reported reason):
+//   1. stale HR    no HR sample for `staleAfter` s      -> recovery watts
+//   2. HR ceiling  HR at or above `hrCeiling`           -> recovery watts
+//   3. max power   clamp to `maxPower`
+//   4. ramp rate   at most `rampRate` W/s away from the last commanded watts
+// 1 and 2 drop at once, only the controller's own moves are rate limited.
+//
+// With a trainer range (FTMS Supported Power Range) `maxPower` is capped at the
+// trainer's max, nothing goes below its min, and the output is rounded to its
+// increment. The ramp runs on the unrounded watts so small steps still add up.
+//
+// Core temperature (CORE sensor) only raises alerts, at `coreTempWarn` and
+// `coreTempAlert` °C: heat is for the athlete to act on (fan, fluids, stop).
+//
+
+import { systemClock } from './clock.js';
+
+const STORAGE_KEY = 'zone2_safety';
+
+const defaults = {
+    hrCeiling: undefined, // bpm, falls back to athlete max HR - 5
+    maxPower: 400,        // W
+    rampRate: 10,         // W/s
+    staleAfter: 10,       // s without an HR sample
+    recoveryPower: 80,    // W
+    coreTempWarn: 38.5,   // °C
+    coreTempAlert: 39.0,  // °C
+};
+
+const FALLBACK_CEILING = 185;
+
+const Reason = {
+    staleHR: 'HR LOST',
+    hrCeiling: 'HR CEILING',
+    maxPower: 'MAX POWER',
+    ramp: 'RAMP LIMIT',
+};
+
+const CoreAlert = {
+    warm: 'CORE WARM',
+    hot: 'CORE HOT',
+};
+
+// Any -> Number?
+function toNumber(value) {
+    const n = parseFloat(value);
+    return Number.isFinite(n) && n > 0 ? n : undefined;
+}
+
+function SafetySupervisor(args = {}) {
+    const clock = args.clock ?? systemClock;
+    const storage = args.storage ?? globalThis.localStorage;
+
+    let _config = { ...defaults };
+    let _athleteMaxHR;
+    let _lastHRAt;
+    let _lastPower;
+    let _lastAt;
+    let _reason;
+    let _coreAlert;
+    let _range;         // {min, max, inc} W, the trainer's
+
+    // {} -> {}, blank values fall back to the defaults
+    function configure(values = {}) {
+        const next = { ..._config };
+        Object.keys(defaults).forEach(key => {
+            if (key in values) next[key] = toNumber(values[key]) ?? defaults[key];
+        });
+        next.recoveryPower = Math.min(next.recoveryPower, next.maxPower);
+        _config = next;
+        return get();
+    }
+
+    // Void -> {}
+    function get() {
+        return { ..._config };
+    }
+
+    // {maxHR?} -> Void
+    function setAthlete({ maxHR }) {
+        _athleteMaxHR = maxHR;
+    }
+
+    // {min, max, inc}? -> Void, undefined when the trainer does not report one
+    function setTrainerRange(range) {
+        _range = range && range.max > range.min ? { ...range } : undefined;
+    }
+
+    // Void -> Int (W)
+    function maxPower() {
+        return _range ? Math.min(_config.maxPower, _range.max) : _config.maxPower;
+    }
+
+    // Number (W) -> Number (W)
+    function toTrainer(power) {
+        if (!_range) return power;
+        const inc = _range.inc > 0 ? _range.inc : 1;
+        const stepped = _range.min + Math.round((power - _range.min) / inc) * inc;
+        return Math.max(_range.min, Math.min(maxPower(), stepped));
+    }
+
+    // Void -> Int (bpm)
+    function ceiling() {
+        return _config.hrCeiling ?? (_athleteMaxHR ? _athleteMaxHR - 5 : FALLBACK_CEILING);
+    }
+
+    // Int (W) -> Void, at ride start: the watchdog counts from here
+    function reset(power) {
+        const now = clock.now();
+        _lastPower = power;
+        _lastAt = now;
+        _lastHRAt = now;
+        _reason = undefined;
+    }
+
+    // Void -> Void, every HR sample from the strap
+    function heartRate() {
+        _lastHRAt = clock.now();
+    }
+
+    // Void -> Number (s)
+    function staleFor() {
+        return _lastHRAt === undefined ? 0 : (clock.now() - _lastHRAt) / 1000;
+    }
+
+    // Number (W), Int (bpm) -> {power, requested, reason?}
+    function filter(requested, hr) {
+        const now = clock.now();
+        const dt = _lastAt === undefined ? 0 : (now - _lastAt) / 1000;
+        let power = requested;
+        let reason;
+
+        if (staleFor() >= _config.staleAfter) {
+            power = Math.min(requested, _config.recoveryPower);
+            reason = Reason.staleHR;
+        } else if (hr >= ceiling()) {
+            power = Math.min(requested, _config.recoveryPower);
+            reason = Reason.hrCeiling;
+        } else {
+            if (power > maxPower()) {
+                power = maxPower();
+                reason = Reason.maxPower;
+            }
+            if (_lastPower !== undefined && dt > 0) {
+                const maxStep = _config.rampRate * dt;
+                const limited = Math.max(_lastPower - maxStep, Math.min(_lastPower + maxStep, power));
+                if (limited !== power) {
+                    power = limited;
+                    reason = reason ?? Reason.ramp;
+                }
+            }
+        }
+
+        if (reason !== _reason) {
+            if (reason) console.warn(`[Safety] ${reason}: ${Math.round(requested)} W -> ${Math.round(power)} W`);
+            else console.log('[Safety] Clear.');
+        }
+
+        _lastPower = power;
+        _lastAt = now;
+        _reason = reason;
+        return { power: toTrainer(power), requested, reason };
+    }
+
+    // Number (°C) -> String?, every core temperature reading
+    function coreTemperature(celsius) {
+        const alert = celsius >= _config.coreTempAlert ? CoreAlert.hot
+            : celsius >= _config.coreTempWarn ? CoreAlert.warm
+            : undefined;
+
+        if (alert !== _coreAlert) {
+            if (alert) console.warn(`[Safety] ${alert}: ${celsius.toFixed(2)} °C`);
+            else console.log('[Safety] Core temperature back below the thresholds.');
+        }
+        _coreAlert = alert;
+        return alert;
+    }
+
+    // Void -> Bool
+    function load() {
+        try {
+            const saved = storage?.getItem(STORAGE_KEY);
+            if (!saved) return false;
+            configure(JSON.parse(saved));
+            return true;
+        } catch (e) {
+            console.error('[Safety] Load failed', e);
+            return false;
+        }
+    }
+
+    // Void -> Void
+    function save() {
+        storage?.setItem(STORAGE_KEY, JSON.stringify(_config));
+    }
+
+    if (args.config) configure(args.config);
+
+    return Object.freeze({
+        configure,
+        get,
+        setAthlete,
+        setTrainerRange,
+        maxPower,
+        ceiling,
+        reset,
+        heartRate,
+        staleFor,
+        filter,
+        coreTemperature,
+        load,
+        save,
+        get reason() { return _reason; },
+        get coreAlert() { return _coreAlert; },
+        get trainerRange() { return _range; },
+    });
+}
+
+export { SafetySupervisor, Reason, CoreAlert, STORAGE_KEY };
@@ -0,0 +1,138 @@
+//
+// SmO2 Target
+// Power from muscle oxygen: hold an SmO2 level, or desaturate no faster than a set rate
+//
+// Modes:
+//   level  SmO2 above the setpoint (%) means there is room, power goes up
+//   rate   SmO2 slope (%/min, least squares over slopeWindow) held at or above
+//          -setpoint: power climbs until the muscle desaturates that fast
+//
+// Incremental PI (velocity form) on the power actually commanded, so it picks
+// up bumplessly and does not wind up while something else (the HR constraint,
+// the safety supervisor) is holding power lower.
+//
+
+import { systemClock } from './clock.js';
+
+const Mode = {
+    level: 'level',
+    rate: 'rate',
+};
+
+const defaults = {
+    mode: Mode.level,
+    level: 50,         // % SmO2
+    maxDesat: 2,       // %/min
+    kp: 4,             // W per % (level)
+    ki: 0.2,           // W per % s (level)
+    rateKp: 2,         // W per %/min (rate)
+    rateKi: 0.1,       // W per %/min s (rate)
+    slopeWindow: 30,   // s
+    staleAfter: 10,    // s without an SmO2 sample
+    maxStep: 15,       // W per update
+};
+
+function Smo2Target(args = {}) {
+    const config = { ...defaults, ...args };
+    const clock = config.clock ?? systemClock;
+
+    let _mode = config.mode;
+    let _setpoint = { level: config.level, rate: config.maxDesat };
+    let _samples = [];  // {at, smo2}
+    let _lastError;
+    let _lastAt;
+    let _output;        // unrounded last output, W
+
+    function reset() {
+        _samples = [];
+        _lastError = undefined;
+        _lastAt = undefined;
+        _output = undefined;
+    }
+
+    // 'level' | 'rate' -> Void
+    function setMode(mode) {
+        if (!(mode in Mode)) return;
+        _mode = mode;
+        _lastError = undefined;
+    }
+
+    // Number -> Number, % for level, %/min for rate
+    function setSetpoint(value) {
+        if (Number.isFinite(value) && value > 0) _setpoint[_mode] = value;
+        _lastError = undefined;
+        return _setpoint[_mode];
+    }
+
+    // Number (%) -> Void, every sensor sample
+    function sample(smo2) {
+        const now = clock.now();
+        _samples.push({ at: now, smo2 });
+        while (_samples.length && now - _samples[0].at > config.slopeWindow * 1000) _samples.shift();
+    }
+
+    // Void -> Number? (%)
+    function current() {
+        const last = _samples[_samples.length - 1];
+        if (!last || (clock.now() - last.at) / 1000 > config.staleAfter) return undefined;
+        return last.smo2;
+    }
+
+    // Void -> Number? (%/min)
+    function slope() {
+        if (_samples.length < 3) return undefined;
+        const t0 = _samples[0].at;
+        const xs = _samples.map(s => (s.at - t0) / 60000);
+        const ys = _samples.map(s => s.smo2);
+        const xm = xs.reduce((a, b) => a + b, 0) / xs.length;
+        const ym = ys.reduce((a, b) => a + b, 0) / ys.length;
+        let num = 0;
+        let den = 0;
+        xs.forEach((x, i) => {
+            num += (x - xm) * (ys[i] - ym);
+            den += (x - xm) ** 2;
+        });
+        return den > 0 ? num / den : undefined;
+    }
+
+    // Number (W) -> Number? (W), undefined while there is no fresh SmO2
+    function update(power) {
+        const now = clock.now();
+        const smo2 = current();
+        const rate = slope();
+        const dt = _lastAt === undefined ? 0 : (now - _lastAt) / 1000;
+        _lastAt = now;
+
+        const error = _mode === Mode.rate
+            ? (rate === undefined ? undefined : rate + _setpoint.rate)
+            : (smo2 === undefined ? undefined : smo2 - _setpoint.level);
+        if (smo2 === undefined || error === undefined) {
+            _lastError = undefined;
+            return undefined;
+        }
+
+        const [kp, ki] = _mode === Mode.rate ? [config.rateKp, config.rateKi] : [config.kp, config.ki];
+        const delta = kp * (error - (_lastError ?? error)) + ki * error * dt;
+        _lastError = error;
+
+        // Carry fractions of a watt the trainer target rounds away, unless
+        // something else has moved power since
+        const base = _output !== undefined && Math.abs(_output - power) < 1 ? _output : power;
+        _output = base + Math.max(-config.maxStep, Math.min(config.maxStep, delta));
+        return _output;
+    }
+
+    return Object.freeze({
+        update,
+        sample,
+        reset,
+        setMode,
+        setSetpoint,
+        current,
+        slope,
+        get mode() { return _mode; },
+        get setpoint() { return _setpoint[_mode]; },
+    });
+}
+
+export { Smo2Target, Mode };
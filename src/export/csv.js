@@ -0,0 +1,41 @@
+//
+// CSV Export
+// Flat per-second table. The first four columns keep the names analyze_data.py
+// works with (time/watts/cadence/heartrate); CardioWatts specifics follow.
+//
+
+const Columns = [
+    ['time',            s => s.t],
+    ['watts',           s => s.power],
+    ['cadence',         s => s.cadence],
+    ['heartrate',       s => s.hr],
+    ['target_power',    s => s.targetPower],
+    ['target_hr',       s => s.targetHR],
+    ['controller_mode', s => s.controllerName],
+    ['rmssd',           s => s.hrv?.rmssd],
+    ['sdnn',            s => s.hrv?.sdnn],
+    ['dfa_alpha1',      s => s.hrv?.alpha1],
+    ['smo2',            s => s.smo2],
+    ['thb',             s => s.thb],
+    ['core_temp',       s => s.coreTemp],
+    ['skin_temp',       s => s.skinTemp],
+];
+
+// Any -> String
+function cell(value) {
+    if (value === undefined || value === null) return '';
+    if (typeof value === 'number') {
+        return Number.isFinite(value) ? String(Math.round(value * 100) / 100) : '';
+    }
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// {meta, samples} -> String
+function encodeCsv({ samples = [] } = {}) {
+    const header = Columns.map(([name]) => name).join(',');
+    const rows = samples.map(sample => Columns.map(([_, get]) => cell(get(sample))).join(','));
+    return [header, ...rows].join('\n') + '\n';
+}
+
+export { encodeCsv, Columns };
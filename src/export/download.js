@@ -0,0 +1,30 @@
+//
+// Download
+// Hands generated export files to the browser
+//
+
+// Uint8Array | String, String, String -> Void
+function downloadFile(data, filename, type = 'application/octet-stream') {
+    const blob = new Blob([data], { type });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // give the browser a tick to start the download before revoking
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// {startedAt, id}, String -> String, e.g. cardiowatts-2026-10-19-0930.fit
+function sessionFilename(meta = {}, extension) {
+    const date = new Date(meta.startedAt ?? Date.now());
+    const pad = n => n.toString().padStart(2, '0');
+    const stamp = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}-${pad(date.getHours())}${pad(date.getMinutes())}`;
+    return `cardiowatts-${stamp}.${extension}`;
+}
+
+export { downloadFile, sessionFilename };
@@ -0,0 +1,326 @@
+//
+// FIT Encoder
+// Writes a recorded session as a Garmin FIT activity file
+//
+// Layout: 14 byte header, file_id, record (1 Hz), lap, session, activity, CRC.
+// Only the fields CardioWatts records are written (heart_rate, power, cadence);
+// everything else is left out of the definitions rather than filled with invalids.
+//
+
+import { stats, sampleTime, sessionStart } from './summary.js';
+
+// FIT epoch is 1989-12-31T00:00:00Z
+const FIT_EPOCH_OFFSET = 631065600;
+
+const PROTOCOL_VERSION = 0x20; // 2.0
+const PROFILE_VERSION = 2132;  // 21.32
+
+const BaseType = {
+    enum:    { id: 0x00, size: 1, invalid: 0xFF },
+    uint8:   { id: 0x02, size: 1, invalid: 0xFF },
+    uint16:  { id: 0x84, size: 2, invalid: 0xFFFF },
+    uint32:  { id: 0x86, size: 4, invalid: 0xFFFFFFFF },
+    uint32z: { id: 0x8C, size: 4, invalid: 0x00000000 },
+};
+
+const MessageNum = {
+    fileId: 0,
+    session: 18,
+    lap: 19,
+    record: 20,
+    activity: 34,
+};
+
+// profile enums used below
+const Value = {
+    fileActivity: 4,
+    manufacturerDevelopment: 255,
+    sportCycling: 2,
+    subSportIndoorCycling: 6,
+    eventLap: 9,
+    eventSession: 8,
+    eventActivity: 26,
+    eventTypeStop: 1,
+    lapTriggerSessionEnd: 7,
+    sessionTriggerActivityEnd: 0,
+    activityManual: 0,
+};
+
+// [name, field number, base type]
+const Fields = {
+    fileId: [
+        ['type',          0, BaseType.enum],
+        ['manufacturer',  1, BaseType.uint16],
+        ['product',       2, BaseType.uint16],
+        ['serialNumber',  3, BaseType.uint32z],
+        ['timeCreated',   4, BaseType.uint32],
+    ],
+    record: [
+        ['timestamp',   253, BaseType.uint32],
+        ['heartRate',     3, BaseType.uint8],
+        ['cadence',       4, BaseType.uint8],
+        ['power',         7, BaseType.uint16],
+    ],
+    lap: [
+        ['timestamp',        253, BaseType.uint32],
+        ['event',              0, BaseType.enum],
+        ['eventType',          1, BaseType.enum],
+        ['startTime',          2, BaseType.uint32],
+        ['totalElapsedTime',   7, BaseType.uint32],
+        ['totalTimerTime',     8, BaseType.uint32],
+        ['avgHeartRate',      15, BaseType.uint8],
+        ['maxHeartRate',      16, BaseType.uint8],
+        ['avgCadence',        17, BaseType.uint8],
+        ['maxCadence',        18, BaseType.uint8],
+        ['avgPower',          19, BaseType.uint16],
+        ['maxPower',          20, BaseType.uint16],
+        ['lapTrigger',        24, BaseType.enum],
+        ['sport',             25, BaseType.enum],
+    ],
+    session: [
+        ['timestamp',        253, BaseType.uint32],
+        ['event',              0, BaseType.enum],
+        ['eventType',          1, BaseType.enum],
+        ['startTime',          2, BaseType.uint32],
+        ['sport',              5, BaseType.enum],
+        ['subSport',           6, BaseType.enum],
+        ['totalElapsedTime',   7, BaseType.uint32],
+        ['totalTimerTime',     8, BaseType.uint32],
+        ['avgHeartRate',      16, BaseType.uint8],
+        ['maxHeartRate',      17, BaseType.uint8],
+        ['avgCadence',        18, BaseType.uint8],
+        ['maxCadence',        19, BaseType.uint8],
+        ['avgPower',          20, BaseType.uint16],
+        ['maxPower',          21, BaseType.uint16],
+        ['firstLapIndex',     25, BaseType.uint16],
+        ['numLaps',           26, BaseType.uint16],
+        ['trigger',           28, BaseType.enum],
+    ],
+    activity: [
+        ['timestamp',        253, BaseType.uint32],
+        ['totalTimerTime',     0, BaseType.uint32],
+        ['numSessions',        1, BaseType.uint16],
+        ['type',               2, BaseType.enum],
+        ['event',              3, BaseType.enum],
+        ['eventType',          4, BaseType.enum],
+        ['localTimestamp',     5, BaseType.uint32],
+    ],
+};
+
+const crcTable = [
+    0x0000, 0xCC01, 0xD801, 0x1400, 0xF001, 0x3C00, 0x2800, 0xE401,
+    0xA001, 0x6C00, 0x7800, 0xB401, 0x5000, 0x9C01, 0x8801, 0x4400,
+];
+
+// Int, Int -> Int
+function crcByte(crc, byte) {
+    let tmp = crcTable[crc & 0xF];
+    crc = (crc >> 4) & 0x0FFF;
+    crc = crc ^ tmp ^ crcTable[byte & 0xF];
+
+    tmp = crcTable[crc & 0xF];
+    crc = (crc >> 4) & 0x0FFF;
+    crc = crc ^ tmp ^ crcTable[(byte >> 4) & 0xF];
+
+    return crc;
+}
+
+// Uint8Array, Int?, Int? -> Int
+function crc16(bytes, start = 0, end = bytes.length) {
+    let crc = 0;
+    for (let i = start; i < end; i++) {
+        crc = crcByte(crc, bytes[i]);
+    }
+    return crc;
+}
+
+// Date | Int (ms) -> Int (FIT seconds)
+function toFitTime(time) {
+    const ms = time instanceof Date ? time.getTime() : time;
+    return Math.round(ms / 1000) - FIT_EPOCH_OFFSET;
+}
+
+// Growable little endian byte buffer
+function ByteWriter(initial = 4096) {
+    let buffer = new Uint8Array(initial);
+    let view = new DataView(buffer.buffer);
+    let length = 0;
+
+    function ensure(size) {
+        if (length + size <= buffer.length) return;
+        const next = new Uint8Array(Math.max(buffer.length * 2, length + size));
+        next.set(buffer);
+        buffer = next;
+        view = new DataView(buffer.buffer);
+    }
+
+    function uint8(value) {
+        ensure(1);
+        view.setUint8(length, value);
+        length += 1;
+    }
+
+    function uint16(value) {
+        ensure(2);
+        view.setUint16(length, value, true);
+        length += 2;
+    }
+
+    function uint32(value) {
+        ensure(4);
+        view.setUint32(length, value, true);
+        length += 4;
+    }
+
+    function bytes() {
+        return buffer.subarray(0, length);
+    }
+
+    return Object.freeze({
+        uint8,
+        uint16,
+        uint32,
+        bytes,
+        get length() { return length; },
+    });
+}
+
+// Writes definition + data messages, one local message type per global message
+function FitWriter() {
+    const data = ByteWriter();
+    const locals = new Map(); // name -> local type
+
+    function define(name) {
+        if (locals.has(name)) return locals.get(name);
+
+        const local = locals.size;
+        const fields = Fields[name];
+
+        data.uint8(0x40 | local);          // definition header
+        data.uint8(0);                     // reserved
+        data.uint8(0);                     // little endian
+        data.uint16(MessageNum[name]);
+        data.uint8(fields.length);
+        fields.forEach(([_, num, type]) => {
+            data.uint8(num);
+            data.uint8(type.size);
+            data.uint8(type.id);
+        });
+
+        locals.set(name, local);
+        return local;
+    }
+
+    function write(name, values = {}) {
+        const local = define(name);
+        data.uint8(local);                 // data header
+
+        Fields[name].forEach(([key, _, type]) => {
+            let value = values[key];
+            if (value === undefined || value === null || !Number.isFinite(value) || value < 0) {
+                value = type.invalid;
+            }
+            value = Math.round(value);
+            if (type.size === 1) data.uint8(Math.min(value, 0xFF));
+            if (type.size === 2) data.uint16(Math.min(value, 0xFFFF));
+            if (type.size === 4) data.uint32(Math.min(value, 0xFFFFFFFF));
+        });
+    }
+
+    function finish() {
+        const body = data.bytes();
+        const out = new Uint8Array(14 + body.length + 2);
+        const view = new DataView(out.buffer);
+
+        view.setUint8(0, 14);
+        view.setUint8(1, PROTOCOL_VERSION);
+        view.setUint16(2, PROFILE_VERSION, true);
+        view.setUint32(4, body.length, true);
+        out.set([0x2E, 0x46, 0x49, 0x54], 8); // ".FIT"
+        view.setUint16(12, crc16(out, 0, 12), true);
+
+        out.set(body, 14);
+        view.setUint16(14 + body.length, crc16(out, 0, 14 + body.length), true);
+
+        return out;
+    }
+
+    return Object.freeze({ write, finish });
+}
+
+// {meta, samples} -> Uint8Array
+function encodeFit({ meta = {}, samples = [] } = {}) {
+    const fit = FitWriter();
+
+    const startedAt = sessionStart({ meta, samples });
+    const startTime = toFitTime(startedAt);
+    const lastSample = samples[samples.length - 1];
+    const endTime = lastSample ? toFitTime(sampleTime(lastSample, startedAt)) : startTime;
+    const elapsed = (endTime - startTime) * 1000; // ms, scale 1000
+
+    fit.write('fileId', {
+        type: Value.fileActivity,
+        manufacturer: Value.manufacturerDevelopment,
+        product: 0,
+        serialNumber: meta.id ?? 1,
+        timeCreated: startTime,
+    });
+
+    samples.forEach(sample => {
+        fit.write('record', {
+            timestamp: toFitTime(sampleTime(sample, startedAt)),
+            heartRate: sample.hr > 0 ? sample.hr : undefined,
+            cadence: sample.cadence > 0 ? sample.cadence : undefined,
+            power: sample.power,
+        });
+    });
+
+    const hr = stats(samples.map(s => s.hr));
+    const power = stats(samples.map(s => s.power));
+    const cadence = stats(samples.map(s => s.cadence));
+
+    const summary = {
+        timestamp: endTime,
+        eventType: Value.eventTypeStop,
+        startTime,
+        totalElapsedTime: elapsed,
+        totalTimerTime: elapsed,
+        avgHeartRate: hr.avg,
+        maxHeartRate: hr.max,
+        avgCadence: cadence.avg,
+        maxCadence: cadence.max,
+        avgPower: power.avg,
+        maxPower: power.max,
+        sport: Value.sportCycling,
+    };
+
+    fit.write('lap', {
+        ...summary,
+        event: Value.eventLap,
+        lapTrigger: Value.lapTriggerSessionEnd,
+    });
+
+    fit.write('session', {
+        ...summary,
+        event: Value.eventSession,
+        subSport: Value.subSportIndoorCycling,
+        firstLapIndex: 0,
+        numLaps: 1,
+        trigger: Value.sessionTriggerActivityEnd,
+    });
+
+    const tzOffset = -new Date(startedAt).getTimezoneOffset() * 60;
+    fit.write('activity', {
+        timestamp: endTime,
+        totalTimerTime: elapsed,
+        numSessions: 1,
+        type: Value.activityManual,
+        event: Value.eventActivity,
+        eventType: Value.eventTypeStop,
+        localTimestamp: endTime + tzOffset,
+    });
+
+    return fit.finish();
+}
+
+export { encodeFit, crc16, toFitTime, FIT_EPOCH_OFFSET };
@@ -0,0 +1,25 @@
+//
+// Export helpers shared by the FIT, TCX and CSV writers
+//
+
+// [Number] -> {avg, max}, ignoring dropouts (0 / missing)
+function stats(values) {
+    const valid = values.filter(v => Number.isFinite(v) && v > 0);
+    if (valid.length === 0) return { avg: undefined, max: undefined };
+    return {
+        avg: valid.reduce((a, b) => a + b, 0) / valid.length,
+        max: Math.max(...valid),
+    };
+}
+
+// {t, timestamp}, Int -> Int (ms)
+function sampleTime(sample, startedAt) {
+    return sample.timestamp ?? startedAt + (sample.t ?? 0) * 1000;
+}
+
+// {meta, samples} -> Int (ms)
+function sessionStart({ meta = {}, samples = [] } = {}) {
+    return meta.startedAt ?? samples[0]?.timestamp ?? Date.now();
+}
+
+export { stats, sampleTime, sessionStart };
@@ -0,0 +1,77 @@
+//
+// TCX Encoder
+// Training Center XML with HeartRateBpm, Cadence and the ActivityExtension (ns3:TPX) Watts
+//
+
+import { stats, sampleTime, sessionStart } from './summary.js';
+
+// Int (ms) -> String
+function iso(ms) {
+    return new Date(ms).toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+// {hr, cadence, power}, String -> String
+function trackpoint(sample, time) {
+    const parts = [`<Time>${time}</Time>`];
+    if (sample.hr > 0) {
+        parts.push(`<HeartRateBpm><Value>${Math.round(sample.hr)}</Value></HeartRateBpm>`);
+    }
+    if (sample.cadence > 0) {
+        parts.push(`<Cadence>${Math.min(Math.round(sample.cadence), 254)}</Cadence>`);
+    }
+    if (Number.isFinite(sample.power)) {
+        parts.push(`<Extensions><ns3:TPX><ns3:Watts>${Math.round(sample.power)}</ns3:Watts></ns3:TPX></Extensions>`);
+    }
+    return `          <Trackpoint>${parts.join('')}</Trackpoint>`;
+}
+
+// {meta, samples} -> String
+function encodeTcx({ meta = {}, samples = [] } = {}) {
+    const startedAt = sessionStart({ meta, samples });
+    const last = samples[samples.length - 1];
+    const totalSeconds = last ? (sampleTime(last, startedAt) - startedAt) / 1000 : 0;
+
+    const hr = stats(samples.map(s => s.hr));
+    const power = stats(samples.map(s => s.power));
+    const cadence = stats(samples.map(s => s.cadence));
+
+    // Lap children follow the schema order
+    const lap = [
+        `<TotalTimeSeconds>${totalSeconds.toFixed(1)}</TotalTimeSeconds>`,
+        `<DistanceMeters>0</DistanceMeters>`,
+        `<Calories>0</Calories>`,
+        hr.avg ? `<AverageHeartRateBpm><Value>${Math.round(hr.avg)}</Value></AverageHeartRateBpm>` : '',
+        hr.max ? `<MaximumHeartRateBpm><Value>${Math.round(hr.max)}</Value></MaximumHeartRateBpm>` : '',
+        `<Intensity>Active</Intensity>`,
+        cadence.avg ? `<Cadence>${Math.round(cadence.avg)}</Cadence>` : '',
+        `<TriggerMethod>Manual</TriggerMethod>`,
+    ].filter(Boolean).map(line => `        ${line}`);
+
+    const lapExtensions = power.avg
+        ? [`        <Extensions><ns3:LX><ns3:AvgWatts>${Math.round(power.avg)}</ns3:AvgWatts><ns3:MaxWatts>${Math.round(power.max)}</ns3:MaxWatts></ns3:LX></Extensions>`]
+        : [];
+
+    const start = iso(startedAt);
+
+    return [
+        `<?xml version="1.0" encoding="UTF-8"?>`,
+        `<TrainingCenterDatabase xmlns="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2" xmlns:ns3="http://www.garmin.com/xmlschemas/ActivityExtension/v2">`,
+        `  <Activities>`,
+        `    <Activity Sport="Biking">`,
+        `      <Id>${start}</Id>`,
+        `      <Lap StartTime="${start}">`,
+        ...lap,
+        `        <Track>`,
+        ...samples.map(sample => trackpoint(sample, iso(sampleTime(sample, startedAt)))),
+        `        </Track>`,
+        ...lapExtensions,
+        `      </Lap>`,
+        `      <Creator xsi:type="Device_t" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"><Name>CardioWatts</Name><UnitId>0</UnitId><ProductID>0</ProductID><Version><VersionMajor>1</VersionMajor><VersionMinor>0</VersionMinor></Version></Creator>`,
+        `    </Activity>`,
+        `  </Activities>`,
+        `</TrainingCenterDatabase>`,
+        ``,
+    ].join('\n');
+}
+
+export { encodeTcx };
@@ -0,0 +1,160 @@
+//
+// Session Recorder
+// Collects 1 Hz ride samples and persists them through the SessionStore
+//
+// Samples are buffered in memory and flushed in chunks so a ride of a few
+// hours does not hit IndexedDB every second. If the session cannot be
+// created, or a chunk cannot be written, the recorder stops buffering, keeps
+// the error in `status` and hands it to `onError`.
+//
+
+const FLUSH_EVERY = 30; // samples
+
+function SessionRecorder(args = {}) {
+    const store = args.store;
+    const flushEvery = args.flushEvery ?? FLUSH_EVERY;
+    const onError = args.onError ?? (() => {});
+
+    let _sessionId;
+    let _meta;
+    let _buffer = [];
+    let _summary;
+    let _pending = Promise.resolve();
+    let _starting = Promise.resolve();
+    let _error;
+
+    function resetSummary() {
+        _summary = { samples: 0, duration: 0, hrSum: 0, hrCount: 0, powerSum: 0, powerCount: 0, maxHR: 0, maxPower: 0 };
+    }
+
+    // String, Error -> Void, nothing more is buffered for this ride
+    function fail(message, e) {
+        console.error(`[Recorder] ${message}`, e);
+        _error = `${message}: ${e?.message ?? e}`;
+        _buffer = [];
+        onError(_error);
+    }
+
+    // Void -> Bool
+    function isRecording() {
+        return _meta !== undefined;
+    }
+
+    // {controllerName, targetHR, source} -> Int?
+    async function start(meta = {}) {
+        if (isRecording()) await stop();
+
+        resetSummary();
+        _buffer = [];
+        _error = undefined;
+        _meta = {
+            startedAt: Date.now(),
+            controllerName: meta.controllerName,
+            targetHR: meta.targetHR,
+            source: meta.source ?? 'ble',
+            ...meta,
+        };
+
+        _sessionId = undefined;
+        _starting = store.createSession(_meta)
+            .then(id => {
+                _sessionId = id;
+                console.log(`[Recorder] Session ${id} started.`);
+            })
+            .catch(e => fail('Could not create session', e));
+
+        await _starting;
+        return _sessionId;
+    }
+
+    // {t, hr, power, targetPower, cadence, targetHR, controllerName, diagnostics} -> Void
+    function record(sample) {
+        if (!isRecording()) return;
+
+        const entry = {
+            ...sample,
+            timestamp: _meta.startedAt + (sample.t ?? 0) * 1000,
+        };
+        if (!_error) _buffer.push(entry);
+
+        _summary.samples += 1;
+        _summary.duration = Math.max(_summary.duration, sample.t ?? 0);
+        if (entry.hr > 0) {
+            _summary.hrSum += entry.hr;
+            _summary.hrCount += 1;
+            _summary.maxHR = Math.max(_summary.maxHR, entry.hr);
+        }
+        if (entry.power > 0) {
+            _summary.powerSum += entry.power;
+            _summary.powerCount += 1;
+            _summary.maxPower = Math.max(_summary.maxPower, entry.power);
+        }
+
+        if (_buffer.length >= flushEvery) flush();
+    }
+
+    // Void -> Promise
+    function flush() {
+        if (_sessionId === undefined || _buffer.length === 0) return _pending;
+
+        const chunk = _buffer;
+        const id = _sessionId;
+        _buffer = [];
+
+        // chain writes so chunks land in order
+        _pending = _pending
+            .then(() => store.appendSamples(id, chunk))
+            .catch(e => fail('Flush failed', e));
+
+        return _pending;
+    }
+
+    // Void -> {}?
+    async function stop() {
+        if (!isRecording()) return undefined;
+
+        // samples recorded before the session row existed are still buffered
+        await _starting;
+        await flush();
+
+        const s = _summary;
+        const meta = {
+            stoppedAt: Date.now(),
+            duration: s.duration,
+            samples: s.samples,
+            avgHR: s.hrCount ? Math.round(s.hrSum / s.hrCount) : 0,
+            maxHR: s.maxHR,
+            avgPower: s.powerCount ? Math.round(s.powerSum / s.powerCount) : 0,
+            maxPower: s.maxPower,
+            status: _error ? 'failed' : 'complete',
+        };
+
+        if (_sessionId !== undefined) {
+            try {
+                await store.updateSession(_sessionId, meta);
+                console.log(`[Recorder] Session ${_sessionId} saved (${s.samples} samples).`);
+            } catch (e) {
+                console.error('[Recorder] Could not finalize session', e);
+            }
+        }
+
+        const result = { id: _sessionId, ..._meta, ...meta };
+        _meta = undefined;
+        _sessionId = undefined;
+        return result;
+    }
+
+    return Object.freeze({
+        start,
+        record,
+        flush,
+        stop,
+        isRecording,
+        // Void -> {recording, sessionId, error}
+        get status() {
+            return { recording: isRecording(), sessionId: _sessionId, error: _error };
+        },
+    });
+}
+
+export { SessionRecorder };
@@ -0,0 +1,146 @@
+//
+// Session Store
+// IndexedDB persistence for recorded rides
+//
+// Two object stores:
+// - sessions: one record per ride (metadata + summary), keyed by auto id
+// - samples:  1 Hz samples, indexed by sessionId, written in chunks while riding
+//
+
+const DB_NAME = 'cardiowatts';
+const DB_VERSION = 1;
+
+const Stores = {
+    sessions: 'sessions',
+    samples: 'samples',
+};
+
+// IDBRequest -> Promise
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// IDBTransaction -> Promise
+function done(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve(true);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+function SessionStore(args = {}) {
+    const name = args.name ?? DB_NAME;
+    const indexedDB = args.indexedDB ?? globalThis.indexedDB;
+
+    let _db;
+
+    // Void -> IDBDatabase
+    async function open() {
+        if (_db) return _db;
+        if (!indexedDB) throw new Error('SessionStore needs IndexedDB!');
+
+        const request = indexedDB.open(name, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(Stores.sessions)) {
+                db.createObjectStore(Stores.sessions, { keyPath: 'id', autoIncrement: true });
+            }
+            if (!db.objectStoreNames.contains(Stores.samples)) {
+                const samples = db.createObjectStore(Stores.samples, { autoIncrement: true });
+                samples.createIndex('sessionId', 'sessionId', { unique: false });
+            }
+        };
+
+        _db = await promisify(request);
+        return _db;
+    }
+
+    // {} -> Int
+    async function createSession(meta = {}) {
+        const db = await open();
+        const tx = db.transaction(Stores.sessions, 'readwrite');
+        const id = await promisify(tx.objectStore(Stores.sessions).add({
+            ...meta,
+            status: 'recording',
+        }));
+        await done(tx);
+        return id;
+    }
+
+    // Int, {} -> Bool
+    async function updateSession(id, meta = {}) {
+        const db = await open();
+        const tx = db.transaction(Stores.sessions, 'readwrite');
+        const sessions = tx.objectStore(Stores.sessions);
+        const current = await promisify(sessions.get(id));
+        if (!current) return false;
+        sessions.put({ ...current, ...meta, id });
+        await done(tx);
+        return true;
+    }
+
+    // Int, [{}] -> Bool
+    async function appendSamples(sessionId, samples = []) {
+        if (samples.length === 0) return true;
+        const db = await open();
+        const tx = db.transaction(Stores.samples, 'readwrite');
+        const store = tx.objectStore(Stores.samples);
+        samples.forEach(sample => store.add({ ...sample, sessionId }));
+        await done(tx);
+        return true;
+    }
+
+    // Void -> [{}], newest first
+    async function listSessions() {
+        const db = await open();
+        const tx = db.transaction(Stores.sessions, 'readonly');
+        const sessions = await promisify(tx.objectStore(Stores.sessions).getAll());
+        return sessions.sort((a, b) => (b.startedAt ?? 0) - (a.startedAt ?? 0));
+    }
+
+    // Int -> {meta: {}, samples: [{}]}?
+    async function getSession(id) {
+        const db = await open();
+        const tx = db.transaction([Stores.sessions, Stores.samples], 'readonly');
+        const meta = await promisify(tx.objectStore(Stores.sessions).get(id));
+        if (!meta) return undefined;
+
+        const samples = await promisify(
+            tx.objectStore(Stores.samples).index('sessionId').getAll(id)
+        );
+        samples.sort((a, b) => a.t - b.t);
+
+        return { meta, samples };
+    }
+
+    // Int -> Bool
+    async function deleteSession(id) {
+        const db = await open();
+        const tx = db.transaction([Stores.sessions, Stores.samples], 'readwrite');
+        tx.objectStore(Stores.sessions).delete(id);
+
+        const index = tx.objectStore(Stores.samples).index('sessionId');
+        const keys = await promisify(index.getAllKeys(id));
+        keys.forEach(key => tx.objectStore(Stores.samples).delete(key));
+
+        await done(tx);
+        return true;
+    }
+
+    return Object.freeze({
+        open,
+        createSession,
+        updateSession,
+        appendSamples,
+        listSessions,
+        getSession,
+        deleteSession,
+    });
+}
+
+export { SessionStore, Stores };
@@ -0,0 +1,122 @@
+//
+// HR Signal Quality
+// Flags heart rate samples the controllers should not act on
+//
+// Per sample (the decoded Heart Rate Measurement, or any {heartRate}):
+//   NO CONTACT    strap reports contact supported but not detected
+//   OUT OF RANGE  outside minHR..maxHR (0 bpm while the strap dries out)
+//   JUMP          faster change than maxRate bpm/s from the last good value
+//   FROZEN        identical value with no new RR for frozenAfter s (frozenAfterNoRR
+//                 for straps that never send RR: a steady HR can sit on one integer)
+//   RR MISMATCH   HR disagrees with 60 / mean(RR) by more than rrTolerance bpm
+//
+// After a bad sample the signal stays unreliable until it has been clean for
+// recoverAfter s, so a flickering strap does not toggle the controller.
+//
+
+import { systemClock } from '../control/clock.js';
+
+const Issue = {
+    contact: 'NO CONTACT',
+    range: 'OUT OF RANGE',
+    jump: 'JUMP',
+    frozen: 'FROZEN',
+    rr: 'RR MISMATCH',
+};
+
+const defaults = {
+    minHR: 30,
+    maxHR: 230,
+    maxRate: 8,        // bpm/s, well above a real HR response
+    frozenAfter: 30,   // s
+    frozenAfterNoRR: 120, // s
+    rrTolerance: 15,   // bpm
+    rrWindow: 5,       // beats averaged for the RR based HR
+    recoverAfter: 5,   // s of clean samples before the signal is trusted again
+};
+
+function HRQuality(args = {}) {
+    const config = { ...defaults, ...args };
+    const clock = config.clock ?? systemClock;
+
+    let _lastGood;     // {hr, at}
+    let _frozen;       // {hr, since, rr}
+    let _rr = [];
+    let _rrSeen = false;
+    let _badUntil;
+    let _issue;
+
+    function reset() {
+        _lastGood = undefined;
+        _frozen = undefined;
+        _rr = [];
+        _rrSeen = false;
+        _badUntil = undefined;
+        _issue = undefined;
+    }
+
+    // {heartRate, sensorContactSupported?, sensorContactStatus?, rrInterval?} -> String?
+    function check(data, now) {
+        const hr = data.heartRate;
+
+        if (data.sensorContactSupported && !data.sensorContactStatus) return Issue.contact;
+        if (!(hr >= config.minHR && hr <= config.maxHR)) return Issue.range;
+
+        if (data.rrInterval?.length) {
+            _rrSeen = true;
+            _rr = _rr.concat(data.rrInterval).slice(-config.rrWindow);
+            const meanRR = _rr.reduce((a, b) => a + b, 0) / _rr.length;
+            if (meanRR > 0 && Math.abs(60 / meanRR - hr) > config.rrTolerance) return Issue.rr;
+        }
+
+        if (_lastGood) {
+            const dt = Math.max(1, (now - _lastGood.at) / 1000);
+            if (Math.abs(hr - _lastGood.hr) > config.maxRate * dt) return Issue.jump;
+        }
+
+        // A steady HR can sit on one integer for a while, the beats underneath still vary
+        const rr = data.rrInterval?.join(',');
+        const frozenAfter = _rrSeen ? config.frozenAfter : config.frozenAfterNoRR;
+        if (!_frozen || _frozen.hr !== hr || (rr && rr !== _frozen.rr)) {
+            _frozen = { hr, since: now, rr };
+        } else if ((now - _frozen.since) / 1000 >= frozenAfter) {
+            return Issue.frozen;
+        }
+
+        return undefined;
+    }
+
+    // {} -> {ok, issue?}
+    function sample(data) {
+        const now = clock.now();
+        const issue = check(data, now);
+
+        if (issue) {
+            _badUntil = now + config.recoverAfter * 1000;
+            if (issue !== _issue) console.warn(`[HR Quality] ${issue} (${data.heartRate} bpm)`);
+            _issue = issue;
+        } else {
+            _lastGood = { hr: data.heartRate, at: now };
+            if (_issue && now >= _badUntil) {
+                console.log('[HR Quality] Signal recovered.');
+                _issue = undefined;
+            }
+        }
+
+        return { ok: !issue, issue: _issue };
+    }
+
+    // Void -> Bool, false while the signal is bad or still recovering
+    function isReliable() {
+        return _issue === undefined;
+    }
+
+    return Object.freeze({
+        sample,
+        reset,
+        isReliable,
+        get issue() { return _issue; },
+    });
+}
+
+export { HRQuality, Issue };
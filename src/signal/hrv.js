@@ -0,0 +1,173 @@
+//
+// HRV
+// Rolling heart rate variability from the strap's RR intervals
+//
+// RR intervals (s, as decoded by HeartRateMeasurement) go through artifact
+// correction first: a beat outside minRR..maxRR or more than `threshold` away
+// from the median of the preceding raw beats (missed or extra beats, motion) is
+// replaced by that median. The median is taken over the raw beats so a real
+// change in rate, after a dropout say, is followed within a few beats.
+//
+// Over the last `window` s of beats:
+//   RMSSD     root mean square of successive differences (ms)
+//   SDNN      standard deviation of the beats (ms)
+//   alpha1    short term DFA scaling exponent (box sizes 4..16 beats),
+//             ~1.0 easy, ~0.75 at the first ventilatory threshold, ~0.5 above VT2
+//
+
+const defaults = {
+    window: 120,     // s of beats
+    minBeats: 50,    // below this the metrics are undefined
+    threshold: 0.2,  // fraction of the local median
+    localBeats: 5,   // raw beats in the local median
+    minRR: 0.27,     // s, 222 bpm
+    maxRR: 2.0,      // s, 30 bpm
+};
+
+// [Number] -> Number
+function mean(xs) {
+    return xs.reduce((a, b) => a + b, 0) / xs.length;
+}
+
+// [Number] -> Number
+function median(xs) {
+    const sorted = [...xs].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// [Number] (ms) -> Number (ms)
+function rmssd(rr) {
+    if (rr.length < 2) return undefined;
+    let sum = 0;
+    for (let i = 1; i < rr.length; i++) sum += (rr[i] - rr[i - 1]) ** 2;
+    return Math.sqrt(sum / (rr.length - 1));
+}
+
+// [Number] (ms) -> Number (ms)
+function sdnn(rr) {
+    if (rr.length < 2) return undefined;
+    const m = mean(rr);
+    return Math.sqrt(rr.reduce((a, x) => a + (x - m) ** 2, 0) / (rr.length - 1));
+}
+
+// [Number], Int -> Number, RMS of the residuals around each box's linear trend
+function fluctuation(profile, n) {
+    const boxes = Math.floor(profile.length / n);
+    const xMean = (n - 1) / 2;
+    const xVar = (n * n - 1) / 12 * n; // sum of (x - xMean)^2 over 0..n-1
+    let sum = 0;
+
+    for (let b = 0; b < boxes; b++) {
+        const box = profile.slice(b * n, (b + 1) * n);
+        const yMean = mean(box);
+        let cov = 0;
+        for (let x = 0; x < n; x++) cov += (x - xMean) * (box[x] - yMean);
+        const slope = cov / xVar;
+        for (let x = 0; x < n; x++) {
+            sum += (box[x] - (yMean + slope * (x - xMean))) ** 2;
+        }
+    }
+
+    return Math.sqrt(sum / (boxes * n));
+}
+
+// [Number] (ms) -> Number, detrended fluctuation analysis, short term exponent
+function dfaAlpha1(rr, minBox = 4, maxBox = 16) {
+    if (rr.length < maxBox * 2) return undefined;
+
+    const m = mean(rr);
+    const profile = [];
+    rr.reduce((acc, x) => {
+        const y = acc + x - m;
+        profile.push(y);
+        return y;
+    }, 0);
+
+    const points = [];
+    for (let n = minBox; n <= maxBox; n++) {
+        const f = fluctuation(profile, n);
+        if (f > 0) points.push([Math.log10(n), Math.log10(f)]);
+    }
+    if (points.length < 2) return undefined;
+
+    // Least squares slope of log F(n) over log n
+    const xm = mean(points.map(p => p[0]));
+    const ym = mean(points.map(p => p[1]));
+    const num = points.reduce((a, [x, y]) => a + (x - xm) * (y - ym), 0);
+    const den = points.reduce((a, [x]) => a + (x - xm) ** 2, 0);
+    return num / den;
+}
+
+function HRV(args = {}) {
+    const config = { ...defaults, ...args };
+
+    let _beats = [];      // {rr (ms), corrected}
+    let _span = 0;        // ms covered by _beats
+    let _raw = [];        // last localBeats uncorrected RR (ms)
+    let _metrics;
+
+    function reset() {
+        _beats = [];
+        _span = 0;
+        _raw = [];
+        _metrics = undefined;
+    }
+
+    // Number (s) -> Void
+    function addBeat(seconds) {
+        const rr = seconds * 1000;
+        if (seconds < config.minRR || seconds > config.maxRR) {
+            if (_raw.length) push(median(_raw), true);
+            return;
+        }
+
+        const local = _raw.length ? median(_raw) : rr;
+        _raw = _raw.concat(rr).slice(-config.localBeats);
+
+        if (Math.abs(rr - local) > config.threshold * local) push(local, true);
+        else push(rr, false);
+    }
+
+    // Number (ms), Bool -> Void
+    function push(rr, corrected) {
+        _beats.push({ rr, corrected });
+        _span += rr;
+
+        while (_span > config.window * 1000 && _beats.length > 1) {
+            _span -= _beats.shift().rr;
+        }
+        _metrics = undefined;
+    }
+
+    // [Number] (s) -> Void, the rrInterval list of one HR measurement
+    function add(rrIntervals = []) {
+        rrIntervals.forEach(addBeat);
+    }
+
+    // Void -> {rmssd?, sdnn?, alpha1?, beats, artifacts (%)}
+    function metrics() {
+        if (_metrics) return _metrics;
+
+        const rr = _beats.map(b => b.rr);
+        const enough = rr.length >= config.minBeats;
+        const corrected = _beats.filter(b => b.corrected).length;
+
+        _metrics = {
+            rmssd: enough ? rmssd(rr) : undefined,
+            sdnn: enough ? sdnn(rr) : undefined,
+            alpha1: enough ? dfaAlpha1(rr) : undefined,
+            beats: rr.length,
+            artifacts: rr.length ? corrected / rr.length * 100 : 0,
+        };
+        return _metrics;
+    }
+
+    return Object.freeze({
+        add,
+        reset,
+        metrics,
+    });
+}
+
+export { HRV, rmssd, sdnn, dfaAlpha1 };
@@ -0,0 +1,90 @@
+//
+// Virtual Athletes
+// PhysioModel profiles for the simulator and headless runs
+//
+// Each profile only overrides what sets it apart from the model's defaults
+// (the reference athlete the controllers were first tuned on). A profile
+// fitted to real rides by parameter_optimizer.js is mapped with fromFitted().
+//
+
+const athletes = {
+    reference: {
+        name: 'Reference',
+        description: 'The original simulated rider: 0.45 bpm/W, 20 s / 30 s kinetics',
+        physiology: {},
+    },
+    untrained: {
+        name: 'Untrained',
+        description: 'High resting HR, steep HR/power line, early thresholds, strong drift',
+        physiology: {
+            hrMin: 75, hrMax: 195, gain: 0.7,
+            tauDemand: 25, tauHR: 40, drift: 0.35,
+            vt1Power: 100, criticalPower: 170, coreTempGain: 0.01,
+        },
+    },
+    trained: {
+        name: 'Trained',
+        description: 'Club rider: low resting HR, flatter HR/power line, little drift',
+        physiology: {
+            hrMin: 55, hrMax: 190, gain: 0.4,
+            tauDemand: 18, tauHR: 25, drift: 0.15,
+            vt1Power: 190, criticalPower: 280,
+        },
+    },
+    elite: {
+        name: 'Elite',
+        description: 'Very low resting HR, 0.3 bpm/W, fast kinetics, almost no drift',
+        physiology: {
+            hrMin: 45, hrMax: 188, gain: 0.3,
+            tauDemand: 15, tauHR: 20, drift: 0.05,
+            vt1Power: 260, criticalPower: 350, coreTempGain: 0.006,
+        },
+    },
+    betaBlocked: {
+        name: 'Beta-blocked',
+        description: 'Blunted HR response: low max HR, low gain, slow to rise and fall',
+        physiology: {
+            hrMin: 55, hrMax: 150, gain: 0.3,
+            tauDemand: 30, tauHR: 45, tauHRFall: 60, drift: 0.1,
+            hrv: 0.05,
+        },
+    },
+    highDrift: {
+        name: 'High drift',
+        description: 'Reference rider on a hot day: three times the cardiac drift',
+        physiology: { drift: 0.6, coreTempGain: 0.012 },
+    },
+    slowResponder: {
+        name: 'Slow responder',
+        description: 'Sluggish kinetics, HR takes twice as long to come back down',
+        physiology: { tauDemand: 40, tauHR: 60, tauHRFall: 120 },
+    },
+};
+
+const defaultAthlete = 'reference';
+
+// {gain, tauRise, tauFall, drift} -> {} PhysioModel config
+// parameter_optimizer.js fits demand and HR on one rise tau, HR falls on
+// tauFall, and drift is in bpm per hour
+function fromFitted({ gain, tauRise, tauFall, drift } = {}) {
+    const physiology = {};
+    if (Number.isFinite(gain)) physiology.gain = gain;
+    if (Number.isFinite(tauRise)) {
+        physiology.tauDemand = tauRise;
+        physiology.tauHR = tauRise;
+    }
+    if (Number.isFinite(tauFall)) physiology.tauHRFall = tauFall;
+    if (Number.isFinite(drift)) physiology.drift = drift / 60;
+    return physiology;
+}
+
+// {} (optimized_params.json), String? -> Athlete
+function fittedAthlete(params, name = 'Fitted') {
+    return {
+        name,
+        description: 'Fitted to recorded rides by parameter_optimizer.js',
+        physiology: fromFitted(params),
+    };
+}
+
+export { athletes, defaultAthlete, fromFitted, fittedAthlete };
@@ -0,0 +1,40 @@
+//
+// Bench Run
+// One seeded controller x athlete x scenario run on a virtual clock, as the bench and the tournament do it
+//
+// The athlete's noise, the controller's draws and the faults each get their
+// own stream (seed, seed + 1, seed + 2): the athlete must not depend on how
+// many draws a controller makes, so every controller faces the same rider.
+// Like the app does with the athlete profile, the controller is given the
+// rider's resting and max HR before the ride.
+//
+
+import { createController } from '../control/controllers.js';
+import { applyLimits } from '../athlete/athlete-profile.js';
+import { SeededRandom } from '../control/random.js';
+import { FaultInjector } from '../ble/fault-injector.js';
+import { summarize } from '../analysis/metrics.js';
+import { simulate } from './headless.js';
+import { VirtualClock } from './virtual-clock.js';
+import { PhysioModel, physioDefaults } from './physio-model.js';
+
+// {controller: String, athlete: Athlete, scenario: Scenario, seed: Int, faults?: {}}
+//     -> {trace, metrics, duration (s), faults?: {} (FaultInjector stats)}
+function benchRun({ controller: controllerName, athlete, scenario, seed, faults: faultSettings }) {
+    const clock = VirtualClock();
+    const model = PhysioModel({ ...athlete.physiology, random: SeededRandom(seed) });
+    const controller = createController(controllerName, { clock, random: SeededRandom(seed + 1) });
+    const { hrMin = physioDefaults.hrMin, hrMax = physioDefaults.hrMax } = athlete.physiology;
+    applyLimits(controller, { hrMin, hrMax });
+    const faults = faultSettings && FaultInjector({ clock, random: SeededRandom(seed + 2), schedule: () => {}, faults: faultSettings });
+
+    const trace = simulate({ controller, clock, model, faults, scenario });
+    return {
+        trace,
+        metrics: summarize(trace),
+        duration: trace.length,
+        ...(faults && { faults: faults.stats }),
+    };
+}
+
+export { benchRun };
@@ -0,0 +1,82 @@
+//
+// Disturbances
+// Scripted upsets on top of a scenario's target HR, the things real rides throw at a controller
+//
+// A disturbance is {type, at (s), duration? (s), ...params}, missing params take
+// the defaults below and a missing duration lasts to the end of the ride:
+//   cadenceDrop   rider slows to `cadence` rpm, ERG power sags until the trainer catches up
+//   standUp       out of the saddle: `power` W on top of the ERG target at `cadence` rpm
+//   fanOff        `heat` °C of extra core temperature builds up, HR drifts with it
+//   strapDropout  no HR (and no RR) from the strap
+//   ergLag        the trainer closes the power error at `ergRate` instead of its own
+//   powerSpike    a short `power` W surge
+//
+// effectsAt() folds the active ones into what PhysioModel.disturb() and the
+// sensor emitters (MockConnectable, headless simulate()) need.
+//
+
+const Disturbance = {
+    cadenceDrop: 'cadenceDrop',
+    standUp: 'standUp',
+    fanOff: 'fanOff',
+    strapDropout: 'strapDropout',
+    ergLag: 'ergLag',
+    powerSpike: 'powerSpike',
+};
+
+const defaults = {
+    cadenceDrop: { duration: 30, cadence: 60 },
+    standUp: { duration: 15, power: 50, cadence: 70 },
+    fanOff: { heat: 0.6 },
+    strapDropout: { duration: 20 },
+    ergLag: { duration: 120, ergRate: 0.02 },
+    powerSpike: { duration: 2, power: 200 },
+};
+
+// {type, at, duration?} -> Bool
+function isActive({ at, duration }, t) {
+    return t >= at && (duration === undefined || t < at + duration);
+}
+
+// [Disturbance], Number (s) -> {extraPower, heat, hrDropout, cadence?, ergRate?}
+function effectsAt(disturbances = [], t) {
+    const effects = { extraPower: 0, heat: 0, hrDropout: false };
+
+    disturbances.forEach(disturbance => {
+        const d = { ...defaults[disturbance.type], ...disturbance };
+        if (!isActive(d, t)) return;
+
+        switch (d.type) {
+            case Disturbance.cadenceDrop:
+                effects.cadence = Math.min(effects.cadence ?? Infinity, d.cadence);
+                break;
+            case Disturbance.standUp:
+                effects.extraPower += d.power;
+                effects.cadence = Math.min(effects.cadence ?? Infinity, d.cadence);
+                break;
+            case Disturbance.fanOff:
+                effects.heat += d.heat;
+                break;
+            case Disturbance.strapDropout:
+                effects.hrDropout = true;
+                break;
+            case Disturbance.ergLag:
+                effects.ergRate = d.ergRate;
+                break;
+            case Disturbance.powerSpike:
+                effects.extraPower += d.power;
+                break;
+        }
+    });
+
+    return effects;
+}
+
+// [Disturbance], Number (s) -> [String], types active at t
+function activeAt(disturbances = [], t) {
+    return disturbances
+        .filter(d => isActive({ ...defaults[d.type], ...d }, t))
+        .map(d => d.type);
+}
+
+export { Disturbance, effectsAt, activeAt };
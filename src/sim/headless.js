@@ -0,0 +1,115 @@
+//
+// Headless Simulation
+// Steps the physiological model and a controller on a virtual clock
+//
+// Mirrors the app's loops: physics at 10 Hz, controller every 2 s
+// (update(targetHR, hr, lastPowerTarget) -> setPower), trace sampled at 1 Hz.
+// The controller must be built with the same clock (config.clock) it runs on.
+//
+
+import { PhysioModel } from './physio-model.js';
+import { VirtualClock } from './virtual-clock.js';
+import { targetAt } from './scenarios.js';
+import { effectsAt, activeAt } from './disturbances.js';
+import { HRV } from '../signal/hrv.js';
+
+const defaults = {
+    controlPeriod: 2,   // s, app control loop
+    physicsDt: 0.1,     // s, MockConnectable tick
+    initialPower: 100,  // W, app's first currentPowerTarget
+};
+
+// {controller, scenario, clock, model?, safety?, alpha1Target?, smo2Target?, faults?}
+//     -> [{t, hr, power, targetPower, targetHR, safety?, alpha1?, smo2?, coreTemp?, disturbances?}]
+// `safety` is an optional SafetySupervisor on the same clock, applied like the app does.
+// With an `alpha1Target` (same clock) the scenario only gives the starting target HR,
+// from there the outer loop moves it on the simulated RR intervals.
+// With an `smo2Target` power follows SmO2 and the scenario's target HR is a ceiling:
+// the controller only takes over when it asks for less.
+// `coreTemp: true` hands the simulated core temperature to the controller at 1 Hz.
+// The scenario's disturbances act on the model each tick. During a strap dropout
+// the controller, the supervisor and the HRV see no new HR (the controller keeps
+// the last one, like the app), the trace keeps the athlete's true HR.
+// `faults` is an optional FaultInjector on the same clock (schedule: () => {}),
+// between the model's samples and the controller side, and on the power writes.
+function simulate(args = {}) {
+    const config = { ...defaults, ...args };
+    const { controller, scenario } = config;
+    const model = config.model ?? PhysioModel();
+    const clock = config.clock ?? VirtualClock();
+    const safety = config.safety;
+    const alpha1Target = config.alpha1Target;
+    const hrv = alpha1Target && HRV();
+    const smo2Target = config.smo2Target;
+    const faults = config.faults;
+
+    const ticks = Math.round(scenario.duration / config.physicsDt);
+    const controlEvery = Math.round(config.controlPeriod / config.physicsDt);
+    const sampleEvery = Math.round(1 / config.physicsDt);
+
+    const trace = [];
+    let powerTarget = config.initialPower;
+    let sample = { power: 0, cadence: 0, heartRate: model.state.currentHR };
+
+    let reason;
+    let targetHR = targetAt(scenario, 0);
+    let lastHR = sample.heartRate;
+
+    // {} -> Void, one strap notification reaching the app side
+    const deliver = (data) => {
+        if (!('heartRate' in data)) return;
+        lastHR = data.heartRate;
+        if (data.heartRate) safety?.heartRate();
+        if (data.rrInterval) hrv?.add(data.rrInterval);
+    };
+    const receive = faults ? faults.wrap(deliver) : deliver;
+
+    controller.reset();
+    safety?.reset(powerTarget);
+    alpha1Target?.reset();
+    smo2Target?.reset();
+    faults?.reset();
+    model.setTargetPower(powerTarget);
+
+    for (let i = 1; i <= ticks; i++) {
+        clock.advance(config.physicsDt * 1000);
+        const t = i * config.physicsDt;
+
+        const effects = effectsAt(scenario.disturbances, t);
+        model.disturb(effects);
+        sample = model.step(config.physicsDt);
+        if (!effects.hrDropout) receive({ heartRate: sample.heartRate, rrInterval: sample.rrInterval });
+        faults?.flush();
+        if (i % sampleEvery === 0) smo2Target?.sample(sample.smo2); // 1 Hz like the sensor
+        if (i % sampleEvery === 0 && config.coreTemp) controller.setCoreTemperature(sample.coreTemp);
+        if (!alpha1Target) targetHR = targetAt(scenario, t);
+
+        if (i % controlEvery === 0) {
+            if (alpha1Target) targetHR = alpha1Target.update(hrv.metrics(), targetHR);
+            let power = controller.update(targetHR, lastHR, powerTarget);
+            if (smo2Target) power = Math.min(power, smo2Target.update(powerTarget) ?? powerTarget);
+            if (safety) ({ power, reason } = safety.filter(power, lastHR));
+            powerTarget = Math.round(power);
+            if (!faults || faults.acceptsWrite()) model.setTargetPower(powerTarget);
+        }
+
+        if (i % sampleEvery === 0) {
+            trace.push({
+                t: Math.round(t),
+                hr: sample.heartRate,
+                power: sample.power,
+                targetPower: powerTarget,
+                targetHR,
+                ...(reason && { safety: reason }),
+                ...(hrv && { alpha1: hrv.metrics().alpha1 }),
+                ...(smo2Target && { smo2: sample.smo2 }),
+                ...(config.coreTemp && { coreTemp: sample.coreTemp }),
+                ...(scenario.disturbances?.length && { disturbances: activeAt(scenario.disturbances, t) }),
+            });
+        }
+    }
+
+    return trace;
+}
+
+export { simulate };
@@ -0,0 +1,235 @@
+//
+// Physiological Model
+// Trainer (ERG lag) + two-stage HR response, stepped explicitly by dt
+//
+// Extracted from MockConnectable.physicsLoop() so the same physics can run
+// on the browser's interval or on a virtual clock (scripts/bench.mjs).
+// Cadence and HR noise come from `args.random`, seed it to replay a ride.
+//
+// Beats: the RR series mixes a correlated (AR(1)) and a white component. The
+// mix follows metabolic intensity, so DFA alpha1 of the simulated RR sits near
+// 1.1 when easy, crosses 0.75 at `vt1Power` and bottoms out near 0.5.
+//
+// Muscle oxygen: SmO2 falls linearly with power towards its steady state
+// (tauSmo2). Above `criticalPower` an oxygen debt builds up and pushes that
+// steady state lower for as long as the excess is held, below it the debt is
+// repaid (tauSmo2Recovery). THb rises slightly with power (vasodilation).
+//
+// Core temperature climbs towards 37 °C + coreTempGain * power over tauCoreTemp,
+// like the CORE sensor reports it. It does not feed back into HR: the cardiac
+// drift above is the heat effect.
+//
+// Disturbances (./disturbances.js, set with disturb() before each step):
+// extra power on top of the ERG target, a cadence change (power scales with it
+// at once, then the trainer's ERG loop pulls it back), a slower ERG, and heat
+// from a switched-off fan, which adds heatDrift bpm per °C it builds up.
+//
+
+import { systemRandom } from '../control/random.js';
+
+const defaults = {
+    hrMin: 65,
+    hrMax: 195,
+    gain: 0.45,       // bpm/Watt
+    tauDemand: 20.0,  // Seconds (Fastest metabolic response)
+    tauHR: 30.0,      // Seconds (Cardiac lag)
+    tauHRFall: undefined, // Seconds, cardiac lag on the way down (tauHR when unset)
+    alpha: 0.5,       // Lower-bound saturation
+    beta: 0.8,        // Upper-bound saturation (Stronger near HR Max)
+    a: 0.5,           // Kinetics scaling
+    drift: 0.2,       // bpm per minute above 50 W
+    ergRate: 0.1,     // fraction of the power error closed per 0.1s tick
+    cadence: 88,
+    noise: 0.4,       // peak-to-peak HR sensor noise (bpm)
+    hrv: 0.03,        // beat-to-beat RR jitter, fraction of the mean RR
+    vt1Power: 150,    // W where alpha1 crosses 0.75
+    alpha1Slope: 0.006, // alpha1 per W below vt1Power
+    smo2Rest: 72,     // %
+    smo2Slope: 0.18,  // % per W
+    tauSmo2: 20,      // s
+    criticalPower: 250, // W
+    smo2Desat: 0.0005, // %/s per W above criticalPower
+    tauSmo2Recovery: 60, // s
+    thbRest: 12.2,    // g/dl
+    coreTempGain: 0.008, // °C per W
+    tauCoreTemp: 900, // s
+    heatDrift: 8,     // bpm per °C of disturbance heat
+    tauHeat: 300,     // s
+};
+
+const RR_PHI = 0.8; // AR(1) coefficient of the correlated RR component
+
+function PhysioModel(args = {}) {
+    const config = { ...defaults, ...args };
+    const random = config.random ?? systemRandom;
+
+    let state;
+
+    function reset() {
+        state = {
+            targetPower: 100,
+            currentPower: 0,
+            currentCadence: 0,
+            currentHR: config.hrMin, // Resting HR
+            currentDemand: config.hrMin,
+            elapsed: 0, // simulated seconds
+            sinceBeat: 0, // s since the last simulated beat
+            nextRR: 60 / config.hrMin, // s
+            intensity: 0, // W, power seen through tauDemand
+            rrCorrelated: 0, // AR(1) state, unit variance
+            smo2: config.smo2Rest, // %
+            smo2Debt: 0, // %
+            coreTemp: 37.0, // °C
+            cadenceTarget: config.cadence, // rpm
+            heat: 0, // °C on top of coreTemp, from disturbances
+            disturbance: {},
+        };
+    }
+
+    // {extraPower, heat, cadence?, ergRate?} -> Void, effectsAt() of ./disturbances.js
+    function disturb(effects = {}) {
+        state.disturbance = effects;
+    }
+
+    // Int -> Void
+    function setTargetPower(watts) {
+        state.targetPower = watts;
+    }
+
+    // Void -> Number, the alpha1 the RR series is shaped for at this intensity
+    function alpha1() {
+        const a = 0.75 + (config.vt1Power - state.intensity) * config.alpha1Slope;
+        return Math.max(0.5, Math.min(1.2, a));
+    }
+
+    // Void -> Number, unit variance fluctuation of the next beat
+    function fluctuation() {
+        const uniform = () => (random.next() - 0.5) * 2 * Math.sqrt(3);
+        state.rrCorrelated = RR_PHI * state.rrCorrelated + Math.sqrt(1 - RR_PHI * RR_PHI) * uniform();
+
+        // Share of the correlated component, roughly alpha1 - 0.4 (calibrated offline)
+        const mix = Math.max(0, Math.min(0.9, alpha1() - 0.4));
+        return (mix * state.rrCorrelated + (1 - mix) * uniform()) / Math.hypot(mix, 1 - mix);
+    }
+
+    // Number (s) -> [Number] (s), RR intervals of the beats that fell inside dt
+    function beats(dt) {
+        const rr = [];
+        state.sinceBeat += dt;
+        while (state.sinceBeat >= state.nextRR) {
+            state.sinceBeat -= state.nextRR;
+            rr.push(Math.round(state.nextRR * 1024) / 1024); // HRS resolution
+            state.nextRR = 60 / state.currentHR * (1 + fluctuation() * config.hrv / Math.sqrt(3));
+        }
+        return rr;
+    }
+
+    // Number (s), Number (W) -> Void
+    function oxygen(dt, power) {
+        const excess = power - config.criticalPower;
+        state.smo2Debt = excess > 0
+            ? state.smo2Debt + excess * config.smo2Desat * dt
+            : state.smo2Debt * (1 - dt / config.tauSmo2Recovery);
+
+        const steady = config.smo2Rest - config.smo2Slope * power - state.smo2Debt;
+        state.smo2 += (steady - state.smo2) / config.tauSmo2 * dt;
+        state.smo2 = Math.max(5, Math.min(95, state.smo2));
+    }
+
+    // Number (s), Number (W) -> Void
+    function heat(dt, power) {
+        const steady = 37.0 + config.coreTempGain * power;
+        state.coreTemp += (steady - state.coreTemp) / config.tauCoreTemp * dt;
+        state.heat += ((state.disturbance.heat ?? 0) - state.heat) / config.tauHeat * dt;
+    }
+
+    // Number (s) -> {power, cadence, heartRate, rrInterval?, smo2, thb, coreTemp, skinTemp}
+    function step(dt) {
+        const { hrMin, hrMax } = config;
+        const disturbance = state.disturbance;
+        state.elapsed += dt;
+
+        // Power is torque x cadence: a cadence change moves it before the ERG reacts
+        const cadenceTarget = disturbance.cadence ?? config.cadence;
+        if (cadenceTarget !== state.cadenceTarget) {
+            state.currentPower *= cadenceTarget / state.cadenceTarget;
+            state.cadenceTarget = cadenceTarget;
+        }
+
+        // 1. Simulate Trainer Response (ERG Mode Lag)
+        // ThinkRider X2 takes about 2-3 seconds to smooth to target
+        // (ergRate is per 0.1s tick, scaled so larger dt converges the same)
+        const ergRate = disturbance.ergRate ?? config.ergRate;
+        const powerDiff = state.targetPower - state.currentPower;
+        state.currentPower += powerDiff * (1 - Math.pow(1 - ergRate, dt / 0.1));
+        const power = state.currentPower + (disturbance.extraPower ?? 0);
+
+        // Simulate Cadence (Random fluctuation around 85-90 if power > 0)
+        if (state.targetPower > 0) {
+            state.currentCadence += (cadenceTarget - state.currentCadence) * 0.2 + (random.next() - 0.5) * 2;
+        } else {
+            state.currentCadence = 0;
+        }
+
+        // 2. Physiological HR Response
+        // State 1: Demand (Metabolic intensity)
+        // State 2: Heart Rate (Following demand)
+
+        // Cardiac Drift over simulated time
+        const elapsedMins = state.elapsed / 60;
+        const drift = power > 50 ? (elapsedMins * config.drift) : 0;
+
+        // Current Intensity Target
+        const metabolicPowerTarget = (power * config.gain) + hrMin + drift + config.heatDrift * state.heat;
+
+        // dD/dt = (Target - D) / Tau
+        const demandDot = (metabolicPowerTarget - state.currentDemand) / config.tauDemand;
+        state.currentDemand += demandDot * dt;
+        state.intensity += (power - state.intensity) / config.tauDemand * dt;
+
+        // Update HR State with Saturation
+        // S = ((HR - HR_MIN)/60)^alpha * ((HR_MAX - HR)/60)^beta
+        const fMin = Math.pow(Math.abs(state.currentHR - hrMin + 0.1) / 60, config.alpha);
+        const fMax = Math.pow(Math.abs(hrMax - state.currentHR + 0.1) / 60, config.beta);
+
+        // hr_dot = A * f_min * f_max * (Demand - HR), tau_hr folded into A
+        const tauHR = state.currentDemand < state.currentHR ? config.tauHRFall ?? config.tauHR : config.tauHR;
+        let hrDot = config.a * fMin * fMax * (state.currentDemand - state.currentHR) * (30.0 / tauHR);
+
+        // Clamping/Safety logic at boundaries
+        if (state.currentHR >= hrMax && hrDot > 0) hrDot = hrMax - state.currentHR;
+        if (state.currentHR <= hrMin && hrDot < 0) hrDot = hrMin - state.currentHR;
+
+        state.currentHR += hrDot * dt;
+        oxygen(dt, power);
+        heat(dt, power);
+
+        // Add Noise (Heart Rate Variability-ish)
+        const noise = (random.next() - 0.5) * config.noise;
+        const rr = beats(dt);
+
+        return {
+            power: Math.round(power),
+            cadence: Math.round(state.currentCadence),
+            heartRate: Math.round(state.currentHR + noise),
+            ...(rr.length && { rrInterval: rr }),
+            smo2: Math.round(state.smo2 * 10) / 10, // Moxy resolution
+            thb: Math.round((config.thbRest + 0.002 * power) * 100) / 100,
+            coreTemp: Math.round((state.coreTemp + state.heat) * 100) / 100,
+            skinTemp: Math.round((33 + 0.005 * power) * 100) / 100,
+        };
+    }
+
+    reset();
+
+    return Object.freeze({
+        step,
+        reset,
+        setTargetPower,
+        disturb,
+        get state() { return { ...state }; },
+        get config() { return { ...config }; },
+    });
+}
+
+export { PhysioModel, defaults as physioDefaults };
@@ -0,0 +1,115 @@
+//
+// Scenarios
+// Scripted target-HR profiles, with disturbances, for headless runs and the SIM mode
+//
+// {
+//     name, description?,
+//     duration: s,
+//     targets: [[t (s), targetHR]],   each entry holds until the next one
+//     disturbances?: [{type, at, duration?, ...}],   see ./disturbances.js
+// }
+//
+// The same shape loads from JSON (parseScenario), the bench takes a path.
+//
+
+import { Disturbance } from './disturbances.js';
+import { StepType } from '../workout/workout.js';
+
+const min = m => m * 60;
+
+const scenarios = {
+    zone2: {
+        name: 'Zone 2 Hold',
+        description: 'Rest to 130 bpm, hold for 30 min',
+        duration: min(30),
+        targets: [[0, 130]],
+    },
+    steps: {
+        name: 'Target Steps',
+        description: 'Up and down steps between 120 and 150 bpm',
+        duration: min(32),
+        targets: [[0, 120], [min(8), 140], [min(16), 125], [min(24), 150]],
+    },
+    intervals: {
+        name: 'HR Intervals',
+        description: '8 min at 125, then 4 x (4 min 155 / 3 min 120)',
+        duration: min(36),
+        targets: [
+            [0, 125],
+            [min(8), 155], [min(12), 120],
+            [min(15), 155], [min(19), 120],
+            [min(22), 155], [min(26), 120],
+            [min(29), 155], [min(33), 120],
+        ],
+    },
+    messyZone2: {
+        name: 'Messy Zone 2',
+        description: 'Zone 2 hold through a cadence drop, a stand-up, a power spike, a strap dropout and the fan going off',
+        duration: min(40),
+        targets: [[0, 130]],
+        disturbances: [
+            { type: Disturbance.cadenceDrop, at: min(8), duration: 30, cadence: 55 },
+            { type: Disturbance.standUp, at: min(12), duration: 20 },
+            { type: Disturbance.powerSpike, at: min(14) },
+            { type: Disturbance.strapDropout, at: min(16), duration: 25 },
+            { type: Disturbance.fanOff, at: min(24) },
+        ],
+    },
+    messyIntervals: {
+        name: 'Messy Intervals',
+        description: 'Steps between 125 and 150 bpm with stand-ups on the climbs, a lagging ERG and a strap dropout in a recovery',
+        duration: min(30),
+        targets: [[0, 125], [min(6), 150], [min(12), 125], [min(18), 150], [min(24), 125]],
+        disturbances: [
+            { type: Disturbance.standUp, at: min(6) + 30, duration: 30, power: 80 },
+            { type: Disturbance.cadenceDrop, at: min(9), duration: 45, cadence: 65 },
+            { type: Disturbance.ergLag, at: min(11), duration: min(3) },
+            { type: Disturbance.strapDropout, at: min(14), duration: 15 },
+            { type: Disturbance.standUp, at: min(18) + 30, duration: 30, power: 80 },
+            { type: Disturbance.powerSpike, at: min(21), power: 300 },
+        ],
+    },
+};
+
+// {targets}, Number -> Int
+function targetAt(scenario, t) {
+    let target = scenario.targets[0][1];
+    for (const [start, hr] of scenario.targets) {
+        if (t >= start) target = hr;
+        else break;
+    }
+    return target;
+}
+
+// String (JSON), String? -> Scenario, throws on anything the runners could not play
+function parseScenario(text, name = 'Scenario') {
+    const scenario = JSON.parse(text);
+
+    if (!(scenario.duration > 0)) throw new Error('scenario needs a duration (s)');
+    if (!Array.isArray(scenario.targets) || !scenario.targets.length) throw new Error('scenario needs targets [[t, hr]]');
+    scenario.targets.forEach(([t, hr]) => {
+        if (!Number.isFinite(t) || !Number.isFinite(hr)) throw new Error(`bad target [${t}, ${hr}]`);
+    });
+    (scenario.disturbances ?? []).forEach(d => {
+        if (!(d.type in Disturbance)) throw new Error(`unknown disturbance '${d.type}'`);
+        if (!Number.isFinite(d.at)) throw new Error(`disturbance '${d.type}' needs at (s)`);
+    });
+
+    return { name, ...scenario };
+}
+
+// Scenario -> {name, steps}, the targets as steady steps for the app's WorkoutRunner
+function toWorkout(scenario) {
+    const { targets, duration } = scenario;
+    return {
+        name: scenario.name,
+        steps: targets.map(([start, hr], i) => ({
+            type: StepType.steady,
+            name: `${hr} bpm`,
+            duration: (targets[i + 1]?.[0] ?? duration) - start,
+            hr,
+        })),
+    };
+}
+
+export { scenarios, targetAt, parseScenario, toWorkout };
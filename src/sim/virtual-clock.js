@@ -0,0 +1,22 @@
+//
+// Virtual Clock
+// Simulated milliseconds for headless runs, injected as `config.clock`
+// into controllers (see src/control/clock.js)
+//
+
+function VirtualClock(start = 1_000_000) {
+    let _now = start;
+
+    function now() {
+        return _now;
+    }
+
+    // Number (ms) -> Void
+    function advance(ms) {
+        _now += ms;
+    }
+
+    return Object.freeze({ now, advance });
+}
+
+export { VirtualClock };
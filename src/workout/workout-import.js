@@ -0,0 +1,186 @@
+//
+// Workout Import
+// Zwift .zwo and TrainerRoad style .erg / .mrc files -> HR workouts
+//
+// Files are parsed into power steps (absolute watts) with the same shape as
+// HR steps, then mapped through the controllers' steady state model:
+//
+//   HR_ss = hrMin + gain * power
+//
+// Parsing is string based (no DOMParser) so it also runs headless.
+//
+
+import { StepType } from './workout.js';
+
+const DEFAULT_FTP = 200;
+
+// String -> {key: value} with lowercased keys
+function attributes(text) {
+    const attrs = {};
+    const re = /([A-Za-z_][\w-]*)\s*=\s*"([^"]*)"/g;
+    let match;
+    while ((match = re.exec(text)) !== null) {
+        attrs[match[1].toLowerCase()] = match[2];
+    }
+    return attrs;
+}
+
+// String, String -> String?
+function tagText(xml, tag) {
+    const match = xml.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'i'));
+    return match ? match[1].trim() : undefined;
+}
+
+// String, {ftp} -> {name, steps}
+function parseZwo(xml, { ftp = DEFAULT_FTP } = {}) {
+    const body = tagText(xml, 'workout');
+    if (body === undefined) throw new Error('Not a ZWO workout: missing <workout> element.');
+
+    const watts = value => parseFloat(value) * ftp;
+    const seconds = value => parseFloat(value);
+
+    let lastPower;
+    const steps = [];
+    const re = /<(Warmup|Cooldown|SteadyState|SolidState|Ramp|IntervalsT|FreeRide|MaxEffort)\b([^>]*?)\/?>/gi;
+    let match;
+
+    while ((match = re.exec(body)) !== null) {
+        const type = match[1].toLowerCase();
+        const a = attributes(match[2]);
+        const duration = seconds(a.duration);
+
+        switch (type) {
+            case 'warmup':
+            case 'cooldown':
+            case 'ramp': {
+                const from = watts(a.powerlow ?? a.power);
+                const to = watts(a.powerhigh ?? a.power);
+                steps.push({ type: StepType[type], duration, from, to });
+                lastPower = to;
+                break;
+            }
+            case 'steadystate':
+            case 'solidstate': {
+                const power = watts(a.power ?? a.powerlow);
+                steps.push({ type: StepType.steady, duration, power });
+                lastPower = power;
+                break;
+            }
+            case 'intervalst': {
+                const on = watts(a.onpower ?? a.powerlow);
+                const off = watts(a.offpower ?? a.powerhigh);
+                steps.push({
+                    type: StepType.intervals,
+                    repeat: parseInt(a.repeat ?? '1', 10),
+                    on: { duration: seconds(a.onduration), power: on },
+                    off: { duration: seconds(a.offduration), power: off },
+                });
+                lastPower = off;
+                break;
+            }
+            case 'freeride':
+            case 'maxeffort':
+                // no power target: hold whatever came before
+                steps.push({ type: StepType.steady, duration, power: lastPower ?? 0.5 * ftp, name: 'Free Ride' });
+                break;
+        }
+    }
+
+    return { name: tagText(xml, 'name') ?? 'ZWO Workout', steps };
+}
+
+// String, {ftp} -> {name, steps}
+// .erg is MINUTES WATTS, .mrc is MINUTES PERCENT; the header decides.
+function parseErg(text, { ftp = DEFAULT_FTP } = {}) {
+    const lines = text.split(/\r?\n/).map(line => line.trim());
+    const header = {};
+    const points = [];
+    let section;
+
+    lines.forEach(line => {
+        if (line.startsWith('[')) {
+            section = line.toUpperCase();
+            return;
+        }
+        if (!line || line.startsWith(';')) return;
+
+        if (section === '[COURSE HEADER]') {
+            const kv = line.split('=');
+            if (kv.length === 2) {
+                header[kv[0].trim().toUpperCase()] = kv[1].trim();
+            } else {
+                header.UNITS_LINE = line.toUpperCase(); // e.g. "MINUTES WATTS"
+            }
+        } else if (section === '[COURSE DATA]') {
+            const [minutes, value] = line.split(/\s+/).map(parseFloat);
+            if (Number.isFinite(minutes) && Number.isFinite(value)) points.push({ t: minutes * 60, value });
+        }
+    });
+
+    if (points.length < 2) throw new Error('Not an ERG/MRC workout: no [COURSE DATA] points.');
+
+    const percent = (header.UNITS_LINE ?? '').includes('PERCENT');
+    const watts = value => percent ? (value / 100) * ftp : value;
+
+    const steps = [];
+    for (let i = 1; i < points.length; i++) {
+        const a = points[i - 1];
+        const b = points[i];
+        const duration = b.t - a.t;
+        if (duration <= 0) continue; // vertical edge = step change
+
+        const from = watts(a.value);
+        const to = watts(b.value);
+        const previous = steps[steps.length - 1];
+
+        if (from === to) {
+            // merge consecutive flat segments at the same power
+            if (previous?.type === StepType.steady && previous.power === from) {
+                previous.duration += duration;
+            } else {
+                steps.push({ type: StepType.steady, duration, power: from });
+            }
+        } else {
+            steps.push({ type: StepType.ramp, duration, from, to });
+        }
+    }
+
+    return { name: header.DESCRIPTION || header['FILE NAME'] || 'ERG Workout', steps };
+}
+
+// {name, steps (watts)}, {gain, hrMin, hrMax} -> {name, steps (bpm)}
+function toHeartRate(workout, { gain = 0.45, hrMin = 65, hrMax = 195 } = {}) {
+    const hr = watts => Math.round(Math.max(hrMin, Math.min(hrMax, hrMin + gain * watts)));
+
+    const steps = workout.steps.map(step => {
+        switch (step.type) {
+            case StepType.steady:
+                return { type: step.type, name: step.name, duration: step.duration, hr: hr(step.power) };
+            case StepType.intervals:
+                return {
+                    type: step.type,
+                    repeat: step.repeat,
+                    on: { duration: step.on.duration, hr: hr(step.on.power) },
+                    off: { duration: step.off.duration, hr: hr(step.off.power) },
+                };
+            default:
+                return { type: step.type, name: step.name, duration: step.duration, from: hr(step.from), to: hr(step.to) };
+        }
+    });
+
+    return { name: workout.name, steps };
+}
+
+// String, String, {ftp, gain, hrMin, hrMax} -> {name, steps}
+function importWorkout(filename, text, model = {}) {
+    const extension = filename.split('.').pop().toLowerCase();
+
+    let powerWorkout;
+    if (extension === 'zwo') powerWorkout = parseZwo(text, model);
+    else if (extension === 'erg' || extension === 'mrc') powerWorkout = parseErg(text, model);
+    else throw new Error(`Unsupported workout file: .${extension}`);
+
+    return toHeartRate(powerWorkout, model);
+}
+
+export { parseZwo, parseErg, toHeartRate, importWorkout, DEFAULT_FTP };
@@ -0,0 +1,93 @@
+//
+// Workout Runner
+// Resolves the target HR for the current ride time from an expanded workout
+//
+// Driven by ride time (state.elapsed) rather than wall clock, so it stays in
+// step with the simulator speed multiplier.
+//
+
+import { expand, totalDuration } from './workout.js';
+
+function WorkoutRunner(args = {}) {
+    let _workout;
+    let _segments = [];
+    let _duration = 0;
+    let _offset = 0; // manual +/- bias on top of the plan
+
+    // {name, steps} -> Void
+    function load(workout) {
+        _workout = workout;
+        _segments = workout ? expand(workout.steps) : [];
+        _duration = totalDuration(_segments);
+        _offset = 0;
+    }
+
+    // Void -> Void
+    function clear() {
+        load(undefined);
+    }
+
+    // Void -> Bool
+    function isActive() {
+        return _segments.length > 0;
+    }
+
+    // Int -> Void
+    function nudge(delta) {
+        _offset += delta;
+    }
+
+    // Int -> Int?
+    function segmentIndex(t) {
+        return _segments.findIndex(s => t >= s.start && t < s.start + s.duration);
+    }
+
+    // Int (seconds) -> {targetHR, step, remaining, next, elapsed, duration, done}?
+    function at(t) {
+        if (!isActive()) return undefined;
+
+        const index = segmentIndex(t);
+
+        if (index === -1) {
+            const last = _segments[_segments.length - 1];
+            return {
+                targetHR: Math.round(last.to + _offset),
+                step: undefined,
+                remaining: 0,
+                next: undefined,
+                elapsed: t,
+                duration: _duration,
+                done: t >= _duration,
+            };
+        }
+
+        const segment = _segments[index];
+        const progress = (t - segment.start) / segment.duration;
+        const planned = segment.from + (segment.to - segment.from) * progress;
+
+        return {
+            targetHR: Math.round(planned + _offset),
+            step: segment,
+            remaining: segment.start + segment.duration - t,
+            next: _segments[index + 1],
+            elapsed: t,
+            duration: _duration,
+            done: false,
+        };
+    }
+
+    if (args.workout) load(args.workout);
+
+    return Object.freeze({
+        load,
+        clear,
+        isActive,
+        nudge,
+        at,
+        get workout() { return _workout; },
+        get segments() { return _segments; },
+        get duration() { return _duration; },
+    });
+}
+
+export { WorkoutRunner };
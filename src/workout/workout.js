@@ -0,0 +1,96 @@
+//
+// Workout
+// HR workouts as a list of steps, expanded into timed segments
+//
+// Step types (durations in seconds, targets in bpm):
+//   { type: 'warmup',    duration, from, to }       linear ramp
+//   { type: 'steady',    duration, hr }
+//   { type: 'ramp',      duration, from, to }       linear ramp mid-workout
+//   { type: 'intervals', repeat, on: { duration, hr }, off: { duration, hr } }
+//   { type: 'cooldown',  duration, from, to }       linear ramp
+//
+
+const StepType = {
+    warmup: 'warmup',
+    steady: 'steady',
+    ramp: 'ramp',
+    intervals: 'intervals',
+    cooldown: 'cooldown',
+};
+
+const min = m => m * 60;
+
+// {} -> [{name, start, duration, from, to}]
+function expand(steps = []) {
+    const segments = [];
+    let start = 0;
+
+    const push = (name, duration, from, to = from) => {
+        if (!(duration > 0)) return;
+        segments.push({ name, start, duration, from, to });
+        start += duration;
+    };
+
+    steps.forEach(step => {
+        switch (step.type) {
+            case StepType.warmup:
+                push(step.name ?? 'Warmup', step.duration, step.from, step.to);
+                break;
+            case StepType.cooldown:
+                push(step.name ?? 'Cooldown', step.duration, step.from, step.to);
+                break;
+            case StepType.steady:
+                push(step.name ?? 'Steady', step.duration, step.hr);
+                break;
+            case StepType.ramp:
+                push(step.name ?? 'Ramp', step.duration, step.from, step.to);
+                break;
+            case StepType.intervals:
+                for (let i = 1; i <= (step.repeat ?? 1); i++) {
+                    push(`${step.name ?? 'Interval'} ${i}/${step.repeat} ON`, step.on.duration, step.on.hr);
+                    push(`${step.name ?? 'Interval'} ${i}/${step.repeat} OFF`, step.off?.duration, step.off?.hr);
+                }
+                break;
+            default:
+                console.warn(`[Workout] Unknown step type '${step.type}'.`);
+        }
+    });
+
+    return segments;
+}
+
+// [{}] -> Int
+function totalDuration(segments) {
+    const last = segments[segments.length - 1];
+    return last ? last.start + last.duration : 0;
+}
+
+// Built-in workouts
+const library = {
+    zone2_60: {
+        name: 'Zone 2 - 60 min',
+        steps: [
+            { type: StepType.warmup, duration: min(10), from: 100, to: 130 },
+            { type: StepType.steady, duration: min(60), hr: 130 },
+            { type: StepType.cooldown, duration: min(5), from: 130, to: 100 },
+        ],
+    },
+    zone2_90: {
+        name: 'Zone 2 - 90 min',
+        steps: [
+            { type: StepType.warmup, duration: min(10), from: 100, to: 130 },
+            { type: StepType.steady, duration: min(90), hr: 130 },
+            { type: StepType.cooldown, duration: min(5), from: 130, to: 100 },
+        ],
+    },
+    intervals_4x4: {
+        name: 'HR Intervals 4x4',
+        steps: [
+            { type: StepType.warmup, duration: min(15), from: 100, to: 135 },
+            { type: StepType.intervals, repeat: 4, on: { duration: min(4), hr: 160 }, off: { duration: min(3), hr: 125 } },
+            { type: StepType.cooldown, duration: min(10), from: 125, to: 100 },
+        ],
+    },
+};
+
+export { StepType, expand, totalDuration, library };